@@ -0,0 +1,189 @@
+/**
+ * ACCESSIBILITY.JS
+ * Dialog focus management for the detail modals, arrow-key navigation
+ * through the card grids and a polite live region for announcing
+ * search results to screen readers
+ */
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+let dialogReturnFocus = null;
+
+/**
+ * Show a modal overlay as a dialog: remember what had focus, move focus
+ * into the dialog and keep Tab inside it until it is closed
+ * @param {HTMLElement} overlay - Modal overlay holding a [role="dialog"] element
+ */
+function openDialog(overlay) {
+    if (!overlay) return;
+
+    // Switching content while open keeps the element that opened the dialog in the first place
+    if (!overlay.classList.contains('active')) {
+        dialogReturnFocus = document.activeElement;
+    }
+    overlay.classList.add('active');
+
+    if (!overlay.dataset.focusTrapBound) {
+        overlay.dataset.focusTrapBound = 'true';
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') trapDialogFocus(e, overlay);
+        });
+    }
+
+    const dialog = overlay.querySelector('[role="dialog"]');
+    if (dialog && !dialog.contains(document.activeElement)) {
+        dialog.focus();
+    }
+}
+
+/**
+ * Hide a dialog and give focus back to the element that opened it
+ * @param {HTMLElement} overlay - Modal overlay
+ */
+function closeDialog(overlay) {
+    if (!overlay) return;
+    overlay.classList.remove('active');
+
+    // The opener may have been re-rendered away (e.g. the grid was filtered) while the dialog was open
+    if (dialogReturnFocus && dialogReturnFocus.isConnected && typeof dialogReturnFocus.focus === 'function') {
+        dialogReturnFocus.focus();
+    }
+    dialogReturnFocus = null;
+}
+
+/**
+ * Wrap Tab / Shift+Tab around the focusable elements of a dialog
+ * @param {KeyboardEvent} e - Tab keydown event
+ * @param {HTMLElement} overlay - Modal overlay
+ */
+function trapDialogFocus(e, overlay) {
+    const focusable = [...overlay.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(element => !element.hidden && !element.closest('[hidden]'));
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const isOutside = !focusable.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || isOutside)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || isOutside)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Make the cards of a grid reachable with the keyboard: the grid is one Tab
+ * stop, the arrow keys, Home and End move between cards and Enter or Space
+ * opens the focused card. Survives re-renders of the grid.
+ * @param {HTMLElement} grid - Grid container
+ * @param {string} itemSelector - Selector of the cards
+ * @param {function} onActivate - Called with the card on Enter / Space
+ */
+function initGridNavigation(grid, itemSelector, onActivate) {
+    if (!grid || grid.dataset.keyboardBound) return;
+    grid.dataset.keyboardBound = 'true';
+
+    grid.addEventListener('keydown', (e) => {
+        // Keys pressed on a button inside a card keep their own behaviour
+        const item = e.target.closest(itemSelector);
+        if (!item || e.target !== item) return;
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            onActivate(item);
+            return;
+        }
+
+        const items = [...grid.querySelectorAll(itemSelector)];
+        const index = items.indexOf(item);
+        const columns = getGridColumnCount(items);
+        const targets = {
+            ArrowLeft: index - 1,
+            ArrowRight: index + 1,
+            ArrowUp: index - columns,
+            ArrowDown: index + columns,
+            Home: 0,
+            End: items.length - 1
+        };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        const target = items[targets[e.key]];
+        if (target) {
+            setGridTabStop(grid, itemSelector, target);
+            target.focus();
+        }
+    });
+
+    // Tab comes back to the card that was focused last
+    grid.addEventListener('focusin', (e) => {
+        const item = e.target.closest(itemSelector);
+        if (item) setGridTabStop(grid, itemSelector, item);
+    });
+
+    // Re-rendered cards start out unfocusable; make the first one the Tab stop again
+    new MutationObserver(() => setGridTabStop(grid, itemSelector, grid.querySelector(itemSelector)))
+        .observe(grid, { childList: true });
+    setGridTabStop(grid, itemSelector, grid.querySelector(itemSelector));
+}
+
+/**
+ * Make one card the grid's Tab stop
+ * @param {HTMLElement} grid - Grid container
+ * @param {string} itemSelector - Selector of the cards
+ * @param {HTMLElement|null} current - Card to reach with Tab
+ */
+function setGridTabStop(grid, itemSelector, current) {
+    grid.querySelectorAll(itemSelector).forEach(item => {
+        item.setAttribute('tabindex', item === current ? '0' : '-1');
+    });
+}
+
+/**
+ * Count the cards in the first row of a grid
+ * @param {array} items - Cards in DOM order
+ * @returns {number} - Number of columns (at least 1)
+ */
+function getGridColumnCount(items) {
+    if (items.length === 0) return 1;
+
+    const firstTop = items[0].offsetTop;
+    const columns = items.filter(item => item.offsetTop === firstTop).length;
+    // A single row (or no layout at all, every card at 0): Up / Down move one card
+    return columns === items.length ? 1 : columns;
+}
+
+/**
+ * Announce a message to screen readers without moving focus
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    let region = document.getElementById('live-region');
+    if (!region) {
+        region = document.createElement('div');
+        region.id = 'live-region';
+        region.className = 'sr-only';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        document.body.appendChild(region);
+    }
+
+    // Clearing first makes the same message (e.g. two searches with equal counts) announced again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
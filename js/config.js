@@ -0,0 +1,33 @@
+/**
+ * CONFIG.JS
+ * Data source configuration for the F1 Team Portal
+ */
+
+/**
+ * Data provider settings
+ * - provider: adapter used first ('ergast', 'openf1' or 'local')
+ * - fallbackProvider: adapter used when the first one fails
+ * Teams from a live adapter are merged with the curated local file.
+ */
+const DATA_PROVIDER_CONFIG = {
+    provider: 'ergast',
+    fallbackProvider: 'local',
+    requestTimeout: 5000, // 5 seconds
+
+    // Any Ergast-compatible mirror (the original ergast.com service is shut down)
+    ergast: {
+        baseUrl: 'https://api.jolpi.ca/ergast/f1',
+        pageSize: 100
+    },
+
+    // OpenF1-style API
+    openf1: {
+        baseUrl: 'https://api.openf1.org/v1'
+    },
+
+    // Curated files shipped with the portal
+    local: {
+        teamsUrl: 'data/teams.json',
+        seasonsPath: 'data/seasons'
+    }
+};
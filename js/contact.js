@@ -6,12 +6,15 @@
 /**
  * Initialize contact page
  */
-function initContactPage() {
+async function initContactPage() {
     console.log('Initializing Contact Page...');
 
     initTheme();
+    await initI18n();
     bindEventListeners();
     initNavbarScroll();
+    initOfflineSupport();
+    initGlobalSearch();
 }
 
 /**
@@ -106,19 +109,19 @@ function handleFormSubmit(event) {
 
     // Validate form
     if (!name || !email || !subject || !message) {
-        showMessage('Please fill out all fields.', 'error');
+        showMessage(t('contact.errors.required'), 'error');
         return;
     }
 
     // Validate email
     if (!isValidEmail(email)) {
-        showMessage('Please enter a valid email address.', 'error');
+        showMessage(t('contact.errors.email'), 'error');
         return;
     }
 
     // Disable submit button
     submitButton.disabled = true;
-    submitButton.textContent = 'Sending...';
+    submitButton.textContent = t('contact.sending');
 
     // Simulate sending (in real app, would send to backend)
     setTimeout(() => {
@@ -134,14 +137,14 @@ function handleFormSubmit(event) {
         localStorage.setItem('f1_contact_messages', JSON.stringify(messages));
 
         // Show success message
-        showMessage('✓ Your message has been sent! Thank you for contacting us.', 'success');
+        showMessage(`✓ ${t('contact.sent')}`, 'success');
 
         // Reset form
         form.reset();
 
         // Re-enable submit button
         submitButton.disabled = false;
-        submitButton.textContent = 'Send Message';
+        submitButton.textContent = t('contact.send');
 
         // Clear message after 5 seconds
         setTimeout(() => {
@@ -0,0 +1,248 @@
+/**
+ * COUNTRIES.JS
+ * Nationalities and team countries are stored as ISO 3166-1 alpha-2 codes
+ * ("GB"). This file turns a code into a flag, a localised country name and
+ * a localised demonym, and converts the free text used by earlier releases
+ * and by the data providers ("🇬🇧 British", "United Kingdom", Ergast's
+ * "Monegasque", OpenF1's "NED") into codes.
+ * Migrate a data file from Node: node js/countries.js data/teams.json
+ */
+
+// English names and demonyms are the fallback when a locale has none.
+// `aliases` lists other spellings and the three-letter codes used by OpenF1 (IOC style where it differs from ISO).
+const COUNTRIES = {
+    AE: { alpha3: 'ARE', name: 'United Arab Emirates', demonym: 'Emirati', aliases: ['UAE', 'Emirates'] },
+    AR: { alpha3: 'ARG', name: 'Argentina', demonym: 'Argentine', aliases: ['Argentinian', 'Argentinean'] },
+    AT: { alpha3: 'AUT', name: 'Austria', demonym: 'Austrian', aliases: [] },
+    AU: { alpha3: 'AUS', name: 'Australia', demonym: 'Australian', aliases: [] },
+    BE: { alpha3: 'BEL', name: 'Belgium', demonym: 'Belgian', aliases: [] },
+    BR: { alpha3: 'BRA', name: 'Brazil', demonym: 'Brazilian', aliases: [] },
+    CA: { alpha3: 'CAN', name: 'Canada', demonym: 'Canadian', aliases: [] },
+    CH: { alpha3: 'CHE', name: 'Switzerland', demonym: 'Swiss', aliases: ['SUI'] },
+    CN: { alpha3: 'CHN', name: 'China', demonym: 'Chinese', aliases: [] },
+    CO: { alpha3: 'COL', name: 'Colombia', demonym: 'Colombian', aliases: [] },
+    DE: { alpha3: 'DEU', name: 'Germany', demonym: 'German', aliases: ['GER', 'East German', 'West German'] },
+    DK: { alpha3: 'DNK', name: 'Denmark', demonym: 'Danish', aliases: ['DEN', 'Dane'] },
+    ES: { alpha3: 'ESP', name: 'Spain', demonym: 'Spanish', aliases: ['Spaniard'] },
+    FI: { alpha3: 'FIN', name: 'Finland', demonym: 'Finnish', aliases: ['Finn'] },
+    FR: { alpha3: 'FRA', name: 'France', demonym: 'French', aliases: [] },
+    GB: { alpha3: 'GBR', name: 'United Kingdom', demonym: 'British', aliases: ['UK', 'Great Britain', 'England', 'English', 'Scotland', 'Scottish', 'Wales', 'Welsh'] },
+    HK: { alpha3: 'HKG', name: 'Hong Kong', demonym: 'Hong Konger', aliases: [] },
+    ID: { alpha3: 'IDN', name: 'Indonesia', demonym: 'Indonesian', aliases: ['INA'] },
+    IE: { alpha3: 'IRL', name: 'Ireland', demonym: 'Irish', aliases: [] },
+    IN: { alpha3: 'IND', name: 'India', demonym: 'Indian', aliases: [] },
+    IT: { alpha3: 'ITA', name: 'Italy', demonym: 'Italian', aliases: [] },
+    JP: { alpha3: 'JPN', name: 'Japan', demonym: 'Japanese', aliases: [] },
+    MC: { alpha3: 'MCO', name: 'Monaco', demonym: 'Monégasque', aliases: ['MON', 'Monacan'] },
+    MX: { alpha3: 'MEX', name: 'Mexico', demonym: 'Mexican', aliases: [] },
+    MY: { alpha3: 'MYS', name: 'Malaysia', demonym: 'Malaysian', aliases: ['MAS'] },
+    NL: { alpha3: 'NLD', name: 'Netherlands', demonym: 'Dutch', aliases: ['NED', 'The Netherlands', 'Holland'] },
+    NZ: { alpha3: 'NZL', name: 'New Zealand', demonym: 'New Zealander', aliases: ['Kiwi'] },
+    PL: { alpha3: 'POL', name: 'Poland', demonym: 'Polish', aliases: ['Pole'] },
+    PT: { alpha3: 'PRT', name: 'Portugal', demonym: 'Portuguese', aliases: ['POR'] },
+    RU: { alpha3: 'RUS', name: 'Russia', demonym: 'Russian', aliases: [] },
+    SE: { alpha3: 'SWE', name: 'Sweden', demonym: 'Swedish', aliases: ['Swede'] },
+    TH: { alpha3: 'THA', name: 'Thailand', demonym: 'Thai', aliases: [] },
+    US: { alpha3: 'USA', name: 'United States', demonym: 'American', aliases: ['United States of America', 'America'] },
+    VE: { alpha3: 'VEN', name: 'Venezuela', demonym: 'Venezuelan', aliases: [] },
+    ZA: { alpha3: 'ZAF', name: 'South Africa', demonym: 'South African', aliases: ['RSA'] }
+};
+
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+const FLAG_PATTERN = /^\s*([\u{1F1E6}-\u{1F1FF}]{2})/u;
+const REGIONAL_INDICATOR_A = 0x1F1E6;
+
+let countryLookup = null;
+let countryDisplayNames = {};
+
+/**
+ * Check for a code in the country table
+ * @param {*} code - Value to check
+ * @returns {boolean} - True for known ISO 3166-1 alpha-2 codes
+ */
+function isCountryCode(code) {
+    return typeof code === 'string' && COUNTRY_CODE_PATTERN.test(code) && Object.prototype.hasOwnProperty.call(COUNTRIES, code);
+}
+
+/**
+ * Convert a stored or provider value to a country code
+ * @param {string} value - Code, flag-prefixed text, country name, demonym or three-letter code
+ * @returns {string|null} - ISO 3166-1 alpha-2 code, or null when unknown
+ */
+function toCountryCode(value) {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    const text = value.trim();
+    if (isCountryCode(text.toUpperCase())) return text.toUpperCase();
+
+    // Earlier releases stored "🇬🇧 British": the flag spells out the code
+    const flag = text.match(FLAG_PATTERN);
+    if (flag) {
+        const code = [...flag[1]].map(letter => String.fromCharCode(letter.codePointAt(0) - REGIONAL_INDICATOR_A + 65)).join('');
+        if (isCountryCode(code)) return code;
+    }
+
+    return getCountryLookup().get(normalizeCountryText(text.replace(FLAG_PATTERN, ''))) || null;
+}
+
+/**
+ * Build the text -> code lookup from the country table once
+ * @returns {Map} - Normalised name, demonym, alias or alpha-3 code -> alpha-2 code
+ */
+function getCountryLookup() {
+    if (!countryLookup) {
+        countryLookup = new Map();
+        Object.entries(COUNTRIES).forEach(([code, country]) => {
+            [country.alpha3, country.name, country.demonym, ...country.aliases].forEach(text => {
+                countryLookup.set(normalizeCountryText(text), code);
+            });
+        });
+    }
+    return countryLookup;
+}
+
+/**
+ * Normalise text for the lookup (case and accents ignored)
+ * @param {string} text - Name, demonym or code
+ * @returns {string} - Normalised text, e.g. "Monégasque" -> "monegasque"
+ */
+function normalizeCountryText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Get the flag emoji of a country
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @returns {string} - Flag, or '' for an unknown code
+ */
+function getCountryFlag(code) {
+    if (!isCountryCode(code)) return '';
+    return String.fromCodePoint(...[...code].map(letter => REGIONAL_INDICATOR_A + letter.charCodeAt(0) - 65));
+}
+
+/**
+ * Get the name of a country in the page language
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @returns {string} - Country name, e.g. "Regno Unito" for GB in Italian
+ */
+function getCountryName(code) {
+    if (!isCountryCode(code)) return '';
+
+    const locale = typeof getDocumentLocale === 'function' ? getDocumentLocale() : 'en';
+    try {
+        if (!countryDisplayNames[locale]) {
+            countryDisplayNames[locale] = new Intl.DisplayNames([locale], { type: 'region' });
+        }
+        return countryDisplayNames[locale].of(code) || COUNTRIES[code].name;
+    } catch (error) {
+        // Older browsers have no Intl.DisplayNames
+        return COUNTRIES[code].name;
+    }
+}
+
+/**
+ * Get the demonym of a country in the page language (Intl has no demonyms, so they come from the locale packs)
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @returns {string} - Demonym, e.g. "Británico" for GB in Spanish
+ */
+function getNationalityName(code) {
+    if (!isCountryCode(code)) return '';
+
+    const key = `nationalities.${code}`;
+    const name = typeof t === 'function' ? t(key) : key;
+    return name === key ? COUNTRIES[code].demonym : name;
+}
+
+/**
+ * Render a driver's nationality with its flag
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @returns {string} - e.g. "🇬🇧 British"
+ */
+function formatNationality(code) {
+    return `${getCountryFlag(code)} ${getNationalityName(code)}`.trim();
+}
+
+/**
+ * Render a country with its flag
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @returns {string} - e.g. "🇬🇧 United Kingdom"
+ */
+function formatCountry(code) {
+    return `${getCountryFlag(code)} ${getCountryName(code)}`.trim();
+}
+
+/**
+ * Check a country against search text (name and demonym in the page language and in English)
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @param {string} lowerQuery - Lowercase search text
+ * @returns {boolean} - True when the query matches
+ */
+function matchesCountry(code, lowerQuery) {
+    if (!isCountryCode(code)) return false;
+
+    return [getCountryName(code), getNationalityName(code), COUNTRIES[code].name, COUNTRIES[code].demonym]
+        .some(text => text.toLowerCase().includes(lowerQuery));
+}
+
+/**
+ * Convert the team countries and driver nationalities of a teams list to codes
+ * @param {array} teams - Array of team objects (changed in place)
+ * @returns {array} - Values that could not be converted, as "<id>.<field>: <value>"
+ */
+function migrateCountryFields(teams) {
+    const unknown = [];
+    const migrate = (record, field) => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '' || isCountryCode(value)) return;
+
+        const code = toCountryCode(value);
+        if (code) {
+            record[field] = code;
+        } else {
+            unknown.push(`${record.id}.${field}: ${value}`);
+        }
+    };
+
+    teams.forEach(team => {
+        migrate(team, 'country');
+        (team.drivers || []).forEach(driver => migrate(driver, 'nationality'));
+    });
+    return unknown;
+}
+
+// Expose the helpers to Node scripts; in the browser the functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COUNTRIES,
+        isCountryCode,
+        toCountryCode,
+        getCountryFlag,
+        getCountryName,
+        getNationalityName,
+        formatNationality,
+        formatCountry,
+        matchesCountry,
+        migrateCountryFields
+    };
+
+    // node js/countries.js [file] - rewrites the file with codes, exits with 1 when a value is unknown
+    if (require.main === module) {
+        const fs = require('fs');
+        const file = process.argv[2] || 'data/teams.json';
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const unknown = migrateCountryFields(Array.isArray(data) ? data : data.teams);
+
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        console.log(`${file}: countries and nationalities migrated to ISO codes`);
+        if (unknown.length > 0) {
+            console.warn(`Left ${unknown.length} unknown value(s) unchanged:`);
+            unknown.forEach(value => console.warn(`  - ${value}`));
+            process.exitCode = 1;
+        }
+    }
+}
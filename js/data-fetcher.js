@@ -1,114 +1,508 @@
 /**
  * DATA-FETCHER.JS
- * Handles fetching F1 data from API, caching, and fallback strategies
+ * Handles fetching F1 data through the data providers, caching, and fallback strategies
  */
 
-const CACHE_KEY = 'f1_teams_cache';
-const CACHE_TIMESTAMP_KEY = 'f1_teams_cache_timestamp';
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-const FETCH_TIMEOUT = 5000; // 5 seconds
+const CACHE_VERSION = 5; // Bump whenever the cached team shape changes
+const CACHE_FRESH_DURATION = 60 * 60 * 1000; // 1 hour: served without a background refresh
+const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days: older entries are discarded
+const CURRENT_SEASON = 2025;
+const FIRST_SEASON = 2020;
+
+// In-flight driver requests per season, shared by every team's fetchDriverData() call
+const driverDataRequests = new Map();
+
+// In-flight background refreshes per season
+const teamsRevalidations = new Map();
 
 /**
- * Fetch teams data with fallback strategy:
- * 1. Check valid cache
- * 2. Fetch from Ergast API
- * 3. Use fallback JSON file
+ * Fetch teams data with season totals (stale-while-revalidate).
+ * Cached data is returned straight away; when it is older than
+ * CACHE_FRESH_DURATION a background refresh runs and `onRefresh`
+ * is called with the new teams if they differ from the cached ones.
+ * @param {number} season - Season year (defaults to the season in the URL)
+ * @param {function} onRefresh - Optional callback receiving refreshed teams
  * @returns {Promise<array>} - Array of team objects
  */
-async function fetchTeamsData() {
-    try {
-        // Step 1: Check for valid cache
-        const cachedData = getCachedTeams();
-        if (cachedData) {
-            console.log('Using cached team data');
-            return cachedData;
-        }
+async function fetchTeamsData(season = getSelectedSeason(), onRefresh = null) {
+    await purgeOutdatedCache();
 
-        // Step 2: Attempt to fetch from Ergast API
-        try {
-            const apiData = await fetchFromErgastAPI();
-            if (apiData && apiData.length > 0) {
-                cacheTeams(apiData);
-                return apiData;
-            }
-        } catch (apiError) {
-            console.warn('Ergast API failed, trying fallback:', apiError.message);
+    const cachedEntry = await getCachedTeams(season);
+    if (cachedEntry) {
+        console.log(`Using cached team data for ${season}`);
+        if (isCacheStale(cachedEntry)) {
+            revalidateTeams(season, cachedEntry, onRefresh);
         }
+        return cachedEntry.teams;
+    }
 
-        // Step 3: Fallback to local JSON file
-        const fallbackData = await fetchFallbackJSON();
-        if (fallbackData && fallbackData.teams && fallbackData.teams.length > 0) {
-            cacheTeams(fallbackData.teams);
-            return fallbackData.teams;
+    return loadFreshTeams(season);
+}
+
+/**
+ * Refresh a season in the background and report changed data
+ * @param {number} season - Season year
+ * @param {object} cachedEntry - Cache entry currently on screen
+ * @param {function} onRefresh - Optional callback receiving refreshed teams
+ */
+function revalidateTeams(season, cachedEntry, onRefresh) {
+    if (!teamsRevalidations.has(season)) {
+        console.log(`Refreshing ${season} team data in the background`);
+        teamsRevalidations.set(season, loadFreshTeams(season).finally(() => {
+            teamsRevalidations.delete(season);
+        }));
+    }
+
+    teamsRevalidations.get(season).then(teams => {
+        // Keep showing the cached data when the refresh failed or found nothing new
+        if (teams.length === 0 || JSON.stringify(teams) === JSON.stringify(cachedEntry.teams)) return;
+        if (onRefresh) onRefresh(teams);
+    }).catch(error => {
+        // The cached teams stay on screen; the next stale read tries again
+        console.error(`Background refresh of ${season} team data failed:`, error);
+    });
+}
+
+/**
+ * Load teams from the data providers, attach season totals and cache the result
+ * @param {number} season - Season year
+ * @returns {Promise<array>} - Array of team objects
+ */
+async function loadFreshTeams(season) {
+    const { teams, warnings } = validateTeamsData(await loadTeamsFromSources(season));
+    reportValidationWarnings(warnings, `${season} team data`);
+    if (teams.length === 0) return teams;
+
+    const seasonResults = await fetchSeasonResults(season);
+    if (!seasonResults) {
+        console.warn(`Season ${season} results unavailable, using driver stats from the data provider`);
+        await cacheTeams(teams, season, null);
+        return teams;
+    }
+
+    const teamsWithTotals = applySeasonTotals(teams, seasonResults);
+    await cacheTeams(teamsWithTotals, season, seasonResults);
+    return teamsWithTotals;
+}
+
+/**
+ * Load teams with fallback strategy:
+ * 1. Fetch from the configured data provider
+ * 2. Fetch from the fallback data provider
+ * @param {number} season - Season year
+ * @returns {Promise<array>} - Array of team objects
+ */
+async function loadTeamsFromSources(season) {
+    try {
+        // Steps 1 and 2: Configured provider, then fallback provider
+        const teams = await fetchFromProviders('fetchTeams', season);
+        if (teams) {
+            const mergedTeams = await mergeWithCuratedTeams(teams, season);
+            return attachDriverData(mergedTeams, season);
         }
 
-        // Step 4: If all fail, return empty array and show error
+        // Step 3: If all fail, return empty array and show error
         console.error('All data sources failed');
         return [];
     } catch (error) {
-        console.error('Error in fetchTeamsData:', error);
+        console.error('Error in loadTeamsFromSources:', error);
         return [];
     }
 }
 
 /**
- * Fetch teams from Ergast API with timeout
- * @returns {Promise<array>} - Array of team objects
+ * Fill in API teams from the curated teams file and report conflicts
+ * @param {array} teams - Teams from the data provider
+ * @param {number} season - Season year
+ * @returns {Promise<array>} - Merged array of team objects
  */
-async function fetchFromErgastAPI() {
-    const url = 'http://ergast.com/api/f1/current/teams.json';
-
-    return Promise.race([
-        fetch(url)
-            .then(response => {
-                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-                return response.json();
-            })
-            .then(data => {
-                if (!data.MRData || !data.MRData.TeamTable || !data.MRData.TeamTable.Teams) {
-                    throw new Error('Invalid API response structure');
-                }
-
-                // Transform Ergast API data to our format
-                return data.MRData.TeamTable.Teams.map(team => ({
-                    id: team.name.toLowerCase().replace(/\s+/g, '-'),
-                    name: team.name,
-                    logo: `/images/logos/${team.name.toLowerCase().replace(/\s+/g, '-')}.svg`,
-                    country: team.nationality,
-                    founded: parseInt(team.established) || new Date().getFullYear(),
-                    principal: 'Team Principal',
-                    powerUnit: team.constructor || 'Mercedes',
-                    championships: 0,
-                    wins: 0,
-                    podiums: 0,
-                    accent_color: getTeamAccentColor(team.name),
-                    drivers: [],
-                    website: team.url || '#',
-                    social: {
-                        twitter: '#',
-                        instagram: '#'
-                    }
-                }));
-            }),
-        new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Fetch timeout')), FETCH_TIMEOUT)
-        )
-    ]);
-}
-
-/**
- * Fetch fallback JSON file
- * @returns {Promise<object>} - Team data object
- */
-async function fetchFallbackJSON() {
+async function mergeWithCuratedTeams(teams, season) {
+    if (DATA_PROVIDER_CONFIG.provider === 'local') return teams;
+
+    let curatedTeams = [];
     try {
-        const response = await fetch('data/teams.json');
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        return await response.json();
+        curatedTeams = await getDataProvider('local').fetchTeams(season);
     } catch (error) {
-        console.error('Failed to fetch fallback JSON:', error);
-        return null;
+        console.warn(`No curated team data for ${season}:`, error.message);
+    }
+
+    const { teams: mergedTeams, conflicts } = mergeTeamsWithCurated(teams, curatedTeams);
+    if (curatedTeams.length > 0) {
+        reportMergeConflicts(conflicts);
+    }
+    return mergedTeams;
+}
+
+/**
+ * Attach each team's line-up from the data provider, merged with the curated driver details
+ * @param {array} teams - Array of team objects
+ * @param {number} season - Season year
+ * @returns {Promise<array>} - Teams with their drivers attached
+ */
+async function attachDriverData(teams, season) {
+    if (DATA_PROVIDER_CONFIG.provider === 'local') return teams;
+
+    const teamIndex = buildAliasIndex(teams);
+    const curatedDrivers = teams.flatMap(team => team.drivers || []);
+    const conflicts = [];
+
+    const lineups = await Promise.all(teams.map(team => fetchDriverData(team.id, season, teamIndex)));
+
+    const teamsWithDrivers = teams.map((team, index) => {
+        // Keep the curated line-up when the provider has none for this team
+        if (lineups[index].length === 0) return team;
+        return {
+            ...team,
+            drivers: mergeDriversWithCurated(lineups[index], curatedDrivers, conflicts)
+        };
+    });
+
+    reportMergeConflicts(conflicts);
+    return teamsWithDrivers;
+}
+
+/**
+ * Get the season selected through the `season` URL parameter
+ * @returns {number} - Season year, or the current season if missing/invalid
+ */
+function getSelectedSeason() {
+    const season = parseInt(getQueryParam('season'), 10);
+    if (!season || season < FIRST_SEASON || season > CURRENT_SEASON) {
+        return CURRENT_SEASON;
     }
+    return season;
+}
+
+/**
+ * Get all seasons the portal can show, newest first
+ * @returns {array} - Array of season years
+ */
+function getAvailableSeasons() {
+    const seasons = [];
+    for (let year = CURRENT_SEASON; year >= FIRST_SEASON; year--) {
+        seasons.push(year);
+    }
+    return seasons;
+}
+
+/**
+ * Fetch per-round season results
+ * @param {number} season - Season year
+ * @returns {Promise<object|null>} - Season object with rounds, or null
+ */
+async function fetchSeasonResults(season) {
+    const seasonResults = await fetchFromProviders('fetchResults', season);
+    if (seasonResults) return seasonResults;
+
+    // Offline or all providers down: use the results stored with the last good load
+    const storedResults = await getStoredSeasonResults(season).catch(() => null);
+    if (storedResults) {
+        console.warn(`Using stored ${season} season results`);
+        return storedResults;
+    }
+
+    console.error(`Failed to fetch ${season} season results`);
+    return null;
+}
+
+/**
+ * Get per-round season results, from storage when they were saved with the teams
+ * @param {number} season - Season year
+ * @returns {Promise<object|null>} - Season object with rounds, or null
+ */
+async function loadSeasonResults(season) {
+    const storedResults = await getStoredSeasonResults(season).catch(() => null);
+    return storedResults || fetchSeasonResults(season);
+}
+
+/**
+ * Add up per-round results into driver and team totals.
+ * Grand prix results count towards races, wins and podiums;
+ * sprint results only add points.
+ * @param {object} season - Season object with rounds
+ * @param {array} teamsArray - Teams used to resolve result IDs to team/driver IDs
+ * @returns {object} - { drivers, teams } totals keyed by driver and team ID
+ */
+function computeSeasonTotals(season, teamsArray = []) {
+    const totals = { drivers: {}, teams: {} };
+    const teamIndex = buildAliasIndex(teamsArray);
+    const driverIndex = buildAliasIndex(teamsArray.flatMap(team => team.drivers || []));
+
+    (season.rounds || []).forEach(round => {
+        const addResult = isSprint => result => {
+            addResultToTotals(totals, {
+                ...result,
+                driverId: resolveAlias(driverIndex, result.driverId) || result.driverId,
+                teamId: resolveAlias(teamIndex, result.teamId) || result.teamId
+            }, isSprint);
+        };
+
+        (round.sprintResults || []).forEach(addResult(true));
+        (round.results || []).forEach(addResult(false));
+    });
+
+    return totals;
+}
+
+/**
+ * Add a single classified result to the running totals
+ * @param {object} totals - Totals object from computeSeasonTotals()
+ * @param {object} result - Result entry (position, driverId, teamId, status, points, fastestLap)
+ * @param {boolean} isSprint - True for sprint results
+ */
+function addResultToTotals(totals, result, isSprint) {
+    if (!totals.drivers[result.driverId]) {
+        totals.drivers[result.driverId] = createEmptyDriverTotals();
+    }
+    if (!totals.teams[result.teamId]) {
+        totals.teams[result.teamId] = createEmptyTeamTotals();
+    }
+
+    const driverTotals = totals.drivers[result.driverId];
+    const teamTotals = totals.teams[result.teamId];
+    const points = result.points || 0;
+
+    driverTotals.points += points;
+    teamTotals.points += points;
+
+    if (isSprint) return;
+
+    if (result.status !== 'DNS') {
+        driverTotals.races += 1;
+    }
+    if (result.status === 'Finished' && result.position === 1) {
+        driverTotals.wins += 1;
+        teamTotals.wins += 1;
+    }
+    if (result.status === 'Finished' && result.position <= 3) {
+        driverTotals.podiums += 1;
+        teamTotals.podiums += 1;
+    }
+    if (result.fastestLap) {
+        driverTotals.fastestLaps += 1;
+    }
+}
+
+/**
+ * Create an empty driver totals object
+ * @returns {object} - Driver totals with all counters at zero
+ */
+function createEmptyDriverTotals() {
+    return { points: 0, races: 0, wins: 0, podiums: 0, fastestLaps: 0 };
+}
+
+/**
+ * Create an empty team totals object
+ * @returns {object} - Team totals with all counters at zero
+ */
+function createEmptyTeamTotals() {
+    return { points: 0, wins: 0, podiums: 0 };
+}
+
+/**
+ * Replace driver stats with totals computed from season results and
+ * attach the team's season totals as `seasonTotals`.
+ * Team wins/podiums/championships stay as the curated all-time figures.
+ * @param {array} teamsArray - Array of team objects
+ * @param {object} season - Season object with rounds
+ * @returns {array} - New array of team objects with computed totals
+ */
+function applySeasonTotals(teamsArray, season) {
+    const totals = computeSeasonTotals(season, teamsArray);
+
+    return teamsArray.map(team => ({
+        ...team,
+        seasonTotals: totals.teams[team.id] || createEmptyTeamTotals(),
+        drivers: (team.drivers || []).map(driver => ({
+            ...driver,
+            ...(totals.drivers[driver.id] || createEmptyDriverTotals())
+        }))
+    }));
+}
+
+/**
+ * Add up the season totals of a team's drivers
+ * @param {array} drivers - Driver objects with points, wins and podiums
+ * @returns {object} - Team totals { points, wins, podiums }
+ */
+function sumDriverTotals(drivers) {
+    return {
+        points: drivers.reduce((total, driver) => total + (driver.points || 0), 0),
+        wins: drivers.reduce((total, driver) => total + (driver.wins || 0), 0),
+        podiums: drivers.reduce((total, driver) => total + (driver.podiums || 0), 0)
+    };
+}
+
+/**
+ * Compare a team's drivers over the races they drove for this team.
+ * The two drivers with the most starts form the battle; anyone else who
+ * drove for the team is listed in `others`. Without per-race results the
+ * team's current line-up and season totals are used instead.
+ * @param {object} team - Team object
+ * @param {object|null} seasonResults - Season object with rounds
+ * @param {array} teamsArray - All teams, to name drivers who have since moved
+ * @returns {object|null} - { drivers, aheadCounts, teamPoints, others } or null with fewer than two drivers
+ */
+function computeTeammateBattle(team, seasonResults, teamsArray = []) {
+    const knownDrivers = [...(team.drivers || []), ...teamsArray.flatMap(other => other.drivers || [])];
+    const driverIndex = buildAliasIndex(knownDrivers);
+    const teamIndex = buildAliasIndex(teamsArray.length > 0 ? teamsArray : [team]);
+    const stats = new Map();
+    const raceEntries = [];
+
+    /**
+     * Get the running stats of a driver, creating them on first use
+     * @param {string} driverId - Canonical driver ID
+     * @returns {object} - Driver stats
+     */
+    const statsFor = driverId => {
+        if (!stats.has(driverId)) {
+            const driver = knownDrivers.find(known => known.id === driverId) || { id: driverId, name: formatDriverIdAsName(driverId) };
+            stats.set(driverId, { id: driverId, name: driver.name, image: driver.image, points: 0, wins: 0, races: 0 });
+        }
+        return stats.get(driverId);
+    };
+
+    if (seasonResults) {
+        (seasonResults.rounds || []).forEach(round => {
+            const forTeam = result => (resolveAlias(teamIndex, result.teamId) || result.teamId) === team.id;
+            const withDriverId = result => ({ ...result, driverId: resolveAlias(driverIndex, result.driverId) || result.driverId });
+
+            (round.sprintResults || []).filter(forTeam).map(withDriverId).forEach(result => {
+                statsFor(result.driverId).points += result.points || 0;
+            });
+
+            const results = (round.results || []).filter(forTeam).map(withDriverId);
+            results.forEach(result => {
+                const driverStats = statsFor(result.driverId);
+                driverStats.points += result.points || 0;
+                if (result.status !== 'DNS') driverStats.races += 1;
+                if (result.status === 'Finished' && result.position === 1) driverStats.wins += 1;
+            });
+            raceEntries.push(results);
+        });
+    } else {
+        (team.drivers || []).forEach(driver => {
+            Object.assign(statsFor(driver.id), {
+                points: driver.points || 0,
+                wins: driver.wins || 0,
+                races: driver.races || 0
+            });
+        });
+    }
+
+    // The current line-up always takes part, even before their first start
+    (team.drivers || []).forEach(driver => statsFor(driver.id));
+
+    const ranked = [...stats.values()].sort((a, b) => b.races - a.races || b.points - a.points);
+    if (ranked.length < 2) return null;
+
+    const pair = ranked.slice(0, 2);
+    const teamPoints = ranked.reduce((sum, driver) => sum + driver.points, 0);
+
+    // A classified finish beats a retirement; two finishers are compared on position
+    let aheadCounts = null;
+    if (seasonResults) {
+        const finishRank = result => (result && result.status === 'Finished' ? result.position : Infinity);
+        aheadCounts = [0, 0];
+        raceEntries.forEach(results => {
+            const [resultA, resultB] = pair.map(driver => results.find(result => result.driverId === driver.id));
+            if (!resultA || !resultB || resultA.status === 'DNS' || resultB.status === 'DNS') return;
+            if (finishRank(resultA) < finishRank(resultB)) aheadCounts[0] += 1;
+            if (finishRank(resultB) < finishRank(resultA)) aheadCounts[1] += 1;
+        });
+    }
+
+    return {
+        drivers: pair,
+        aheadCounts,
+        teamPoints,
+        others: ranked.slice(2)
+    };
+}
+
+/**
+ * Turn a driver ID into a readable name for drivers missing from the data
+ * @param {string} driverId - Driver ID (e.g. "doohan" or "max_verstappen")
+ * @returns {string} - Capitalised name (e.g. "Doohan" or "Max Verstappen")
+ */
+function formatDriverIdAsName(driverId) {
+    return driverId
+        .split(/[-_]/)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join(' ');
+}
+
+/**
+ * Extract drivers from teams and sort by points
+ * @param {array} teams - Array of team objects
+ * @returns {array} - Sorted array of driver objects
+ */
+function extractAndSortDrivers(teams) {
+    const drivers = [];
+
+    teams.forEach(team => {
+        if (team.drivers && Array.isArray(team.drivers)) {
+            team.drivers.forEach(driver => {
+                drivers.push({
+                    ...driver,
+                    teamId: team.id,
+                    teamName: team.name,
+                    teamColor: team.accent_color,
+                    teamLogo: team.logo
+                });
+            });
+        }
+    });
+
+    // Sort by points (descending), then by wins
+    drivers.sort((a, b) => {
+        if (b.points !== a.points) {
+            return b.points - a.points;
+        }
+        return b.wins - a.wins;
+    });
+
+    return drivers;
+}
+
+/**
+ * Build constructor totals and sort by points.
+ * Uses the team's season totals from the race results when available,
+ * so points scored by drivers who have since left the team still count.
+ * @param {array} teams - Array of team objects
+ * @returns {array} - Sorted array of constructor objects
+ */
+function extractAndSortConstructors(teams) {
+    const constructors = teams.map(team => {
+        const drivers = Array.isArray(team.drivers) ? team.drivers : [];
+        const totals = team.seasonTotals || sumDriverTotals(drivers);
+
+        return {
+            id: team.id,
+            name: team.name,
+            logo: team.logo,
+            teamColor: team.accent_color,
+            driverNames: drivers.map(driver => driver.name),
+            driverNumbers: drivers.map(driver => driver.number),
+            points: totals.points,
+            wins: totals.wins,
+            podiums: totals.podiums
+        };
+    });
+
+    // Sort by points (descending), then by wins, then by podiums
+    constructors.sort((a, b) => {
+        if (b.points !== a.points) {
+            return b.points - a.points;
+        }
+        if (b.wins !== a.wins) {
+            return b.wins - a.wins;
+        }
+        return b.podiums - a.podiums;
+    });
+
+    return constructors;
 }
 
 /**
@@ -151,70 +545,103 @@ function filterTeams(query, teamsArray) {
     const lowerQuery = query.toLowerCase();
     return teamsArray.filter(team =>
         team.name.toLowerCase().includes(lowerQuery) ||
-        team.country.toLowerCase().includes(lowerQuery)
+        matchesCountry(team.country, lowerQuery)
     );
 }
 
 /**
- * Cache teams data to localStorage
+ * Store teams and their season results as a versioned cache entry
  * @param {array} teamsArray - Array of team objects to cache
+ * @param {number} season - Season year
+ * @param {object|null} seasonResults - Season object with rounds, or null when unavailable
  */
-function cacheTeams(teamsArray) {
+async function cacheTeams(teamsArray, season, seasonResults = null) {
+    const entry = { version: CACHE_VERSION, savedAt: Date.now(), teams: teamsArray, results: seasonResults };
     try {
-        localStorage.setItem(CACHE_KEY, JSON.stringify(teamsArray));
-        localStorage.setItem(CACHE_TIMESTAMP_KEY, Date.now().toString());
+        await saveStoredSeason(season, entry);
     } catch (error) {
         console.warn('Failed to cache teams data:', error);
     }
 }
 
 /**
- * Get cached teams from localStorage if valid
- * @returns {array|null} - Cached teams array or null if invalid/expired
+ * Get the cached entry for a season if it is usable
+ * @param {number} season - Season year
+ * @returns {Promise<object|null>} - { version, savedAt, teams, results } or null if missing, outdated or too old
  */
-function getCachedTeams() {
+async function getCachedTeams(season) {
     try {
-        const timestamp = localStorage.getItem(CACHE_TIMESTAMP_KEY);
-        if (!timestamp) return null;
+        const entry = await loadStoredSeason(season);
+        if (!entry) return null;
 
-        // Check if cache is expired
-        if (Date.now() - parseInt(timestamp) > CACHE_DURATION) {
-            clearCache();
+        if (!isCacheEntryValid(entry)) {
+            await clearCache(season);
             return null;
         }
 
-        const cachedData = localStorage.getItem(CACHE_KEY);
-        if (!cachedData) return null;
-
-        return JSON.parse(cachedData);
+        return entry;
     } catch (error) {
         console.warn('Failed to retrieve cached teams:', error);
-        clearCache();
+        await clearCache(season);
         return null;
     }
 }
 
+/**
+ * Check that a cache entry has the current schema version and is not too old
+ * @param {object} entry - Cache entry (or its metadata)
+ * @returns {boolean} - True if the entry can be rendered
+ */
+function isCacheEntryValid(entry) {
+    return Boolean(entry) &&
+        entry.version === CACHE_VERSION &&
+        (entry.teams === undefined || Array.isArray(entry.teams)) &&
+        Date.now() - entry.savedAt <= CACHE_MAX_AGE;
+}
+
+/**
+ * Check whether a cache entry should be refreshed in the background
+ * @param {object} entry - Valid cache entry
+ * @returns {boolean} - True if the entry is older than CACHE_FRESH_DURATION
+ */
+function isCacheStale(entry) {
+    return Date.now() - entry.savedAt > CACHE_FRESH_DURATION;
+}
+
 /**
  * Check if cache is expired
- * @returns {boolean} - True if cache is expired or doesn't exist
+ * @param {number} season - Season year
+ * @returns {Promise<boolean>} - True if the cache is stale or doesn't exist
+ */
+async function isCacheExpired(season) {
+    const entry = await getCachedTeams(season);
+    return !entry || isCacheStale(entry);
+}
+
+/**
+ * Remove stored seasons written with an older schema version or past CACHE_MAX_AGE
  */
-function isCacheExpired() {
+async function purgeOutdatedCache() {
     try {
-        const timestamp = localStorage.getItem(CACHE_TIMESTAMP_KEY);
-        if (!timestamp) return true;
-        return Date.now() - parseInt(timestamp) > CACHE_DURATION;
+        const seasons = await listStoredSeasons();
+        for (const meta of seasons) {
+            if (!isCacheEntryValid(meta)) {
+                console.log(`Removing outdated cache entry for ${meta.season}`);
+                await deleteStoredSeason(meta.season);
+            }
+        }
     } catch (error) {
-        return true;
+        console.warn('Failed to purge outdated cache entries:', error);
     }
 }
 
 /**
  * Clear cached teams data
+ * @param {number} season - Season year
  */
-function clearCache() {
+async function clearCache(season) {
     try {
-        localStorage.removeItem(CACHE_KEY);
-        localStorage.removeItem(CACHE_TIMESTAMP_KEY);
+        await deleteStoredSeason(season);
     } catch (error) {
         console.warn('Failed to clear cache:', error);
     }
@@ -244,37 +671,37 @@ function getTeamAccentColor(teamName) {
 }
 
 /**
- * Fetch driver data from Ergast API
- * @param {string} teamId - The team ID or constructor ID
+ * Fetch the drivers of one team from the configured data provider.
+ * Every team of a season shares one provider request.
+ * @param {string} teamId - The team ID
+ * @param {number} season - Season year
+ * @param {Map} teamIndex - Optional alias index to match provider team IDs to teamId
  * @returns {Promise<array>} - Array of driver objects
  */
-async function fetchDriverData(teamId) {
-    try {
-        const url = `http://ergast.com/api/f1/current/drivers.json`;
-        const response = await Promise.race([
-            fetch(url),
-            new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Fetch timeout')), FETCH_TIMEOUT)
-            )
-        ]);
-
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const data = await response.json();
-
-        if (data.MRData && data.MRData.DriverTable && data.MRData.DriverTable.Drivers) {
-            return data.MRData.DriverTable.Drivers.map(driver => ({
-                id: driver.driverId,
-                name: `${driver.givenName} ${driver.familyName}`,
-                number: driver.permanentNumber || '0',
-                nationality: driver.nationality,
-                "image": "/images/drivers/${driver.driverId}.svg",
-                points: 0,
-                races: 0,
-                wins: 0
-            }));
-        }
-    } catch (error) {
-        console.warn('Failed to fetch driver data:', error);
+async function fetchDriverData(teamId, season = getSelectedSeason(), teamIndex = null) {
+    if (!driverDataRequests.has(season)) {
+        const request = fetchFromProviders('fetchDrivers', season)
+            .then(drivers => drivers || [])
+            .finally(() => driverDataRequests.delete(season));
+        driverDataRequests.set(season, request);
     }
-    return [];
+
+    const drivers = await driverDataRequests.get(season);
+    return drivers.filter(driver => {
+        const driverTeamId = teamIndex ? resolveAlias(teamIndex, driver.teamId) : driver.teamId;
+        return driverTeamId === teamId;
+    });
+}
+
+// Expose the season helpers to Node scripts; in the browser the functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        attachDriverData,
+        computeSeasonTotals,
+        createEmptyDriverTotals,
+        applySeasonTotals,
+        extractAndSortDrivers,
+        extractAndSortConstructors,
+        getTeamAccentColor
+    };
 }
@@ -0,0 +1,215 @@
+/**
+ * DATA-MERGE.JS
+ * Merges live API data with the curated data in data/teams.json
+ */
+
+// Paths to the site's own images: adapters can only guess them from their IDs, so the curated value is kept
+const CURATED_FIELDS = ['image', 'logo'];
+
+/**
+ * Build a lookup from every known ID form to the canonical record ID.
+ * Records are matched by ID, by name and by their optional `aliases` list,
+ * all compared as slugs ("red_bull", "Red Bull Racing" and "red-bull" all match).
+ * @param {array} records - Array of team or driver objects
+ * @returns {Map} - Slug -> canonical ID
+ */
+function buildAliasIndex(records) {
+    const index = new Map();
+
+    (records || []).forEach(record => {
+        const keys = [record.id, record.name, ...(record.aliases || [])];
+        keys.filter(Boolean).forEach(key => {
+            const slug = toSlug(key);
+            if (!index.has(slug)) {
+                index.set(slug, record.id);
+            }
+        });
+    });
+
+    return index;
+}
+
+/**
+ * Resolve an ID or name to a canonical ID
+ * @param {Map} aliasIndex - Index from buildAliasIndex()
+ * @param {string} idOrName - ID, alias or name from any data source
+ * @returns {string|null} - Canonical ID, or null when unknown
+ */
+function resolveAlias(aliasIndex, idOrName) {
+    if (!idOrName) return null;
+    return aliasIndex.get(toSlug(idOrName)) || null;
+}
+
+/**
+ * Check whether a field value carries no information
+ * @param {*} value - Field value
+ * @returns {boolean} - True for null, empty strings, '#' links, empty arrays and empty objects
+ */
+function isEmptyValue(value) {
+    if (value === null || value === undefined || value === '' || value === '#') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.values(value).every(isEmptyValue);
+    return false;
+}
+
+/**
+ * Check whether two field values say the same thing ("4" and 4 do)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True when the values match
+ */
+function isSameValue(a, b) {
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return String(a) === String(b);
+}
+
+/**
+ * Merge an API record with its curated record: API values win, the curated
+ * record fills the fields the API leaves empty and every difference is reported
+ * @param {object} curated - Curated record
+ * @param {object} apiRecord - Record from the data provider (wins on conflicts)
+ * @param {array} conflicts - Conflict list to append to
+ * @returns {object} - Merged record with the curated ID
+ */
+function mergeRecord(curated, apiRecord, conflicts) {
+    const merged = { ...curated };
+
+    Object.keys(apiRecord).forEach(field => {
+        const apiValue = apiRecord[field];
+        const curatedValue = curated[field];
+        if (field === 'id' || field === 'drivers' || isEmptyValue(apiValue)) return;
+
+        if (isEmptyValue(curatedValue) || isSameValue(apiValue, curatedValue)) {
+            merged[field] = apiValue;
+            return;
+        }
+
+        const keepsCurated = CURATED_FIELDS.includes(field);
+        if (!keepsCurated) merged[field] = apiValue;
+        conflicts.push({
+            type: 'conflict',
+            id: curated.id,
+            field,
+            apiValue,
+            curatedValue,
+            kept: keepsCurated ? 'curated' : 'api',
+            message: `${curated.id}.${field}: API has "${apiValue}", curated file has "${curatedValue}" (kept ${keepsCurated ? 'curated' : 'API'})`
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Merge API teams with curated teams.
+ * The API decides which teams and drivers take part and its values win;
+ * the curated file supplies images and anything the API leaves empty.
+ * @param {array} apiTeams - Teams from the data provider
+ * @param {array} curatedTeams - Teams from data/teams.json (may be empty)
+ * @returns {object} - { teams, conflicts }
+ */
+function mergeTeamsWithCurated(apiTeams, curatedTeams) {
+    const conflicts = [];
+    const teamIndex = buildAliasIndex(curatedTeams);
+    const curatedDrivers = curatedTeams.flatMap(team => team.drivers || []);
+    const matchedIds = new Set();
+
+    const teams = apiTeams.map(apiTeam => {
+        const curatedId = resolveAlias(teamIndex, apiTeam.id) || resolveAlias(teamIndex, apiTeam.name);
+        const curatedTeam = curatedTeams.find(team => team.id === curatedId);
+
+        if (!curatedTeam) {
+            conflicts.push({
+                type: 'unmatched',
+                id: apiTeam.id,
+                message: `${apiTeam.id}: API team "${apiTeam.name}" has no match in the curated file`
+            });
+            return withTeamDefaults(apiTeam);
+        }
+
+        matchedIds.add(curatedTeam.id);
+        const merged = mergeRecord(curatedTeam, apiTeam, conflicts);
+
+        // Keep the curated line-up unless the API supplies its own
+        if (apiTeam.drivers && apiTeam.drivers.length > 0) {
+            merged.drivers = mergeDriversWithCurated(apiTeam.drivers, curatedDrivers, conflicts);
+        }
+
+        return withTeamDefaults(merged);
+    });
+
+    curatedTeams
+        .filter(team => !matchedIds.has(team.id))
+        .forEach(team => {
+            conflicts.push({
+                type: 'missing',
+                id: team.id,
+                message: `${team.id}: curated team "${team.name}" is not in the API response`
+            });
+        });
+
+    return { teams, conflicts };
+}
+
+/**
+ * Merge an API line-up with the curated drivers (matched across all teams,
+ * so a driver who changed seats keeps their curated details)
+ * @param {array} apiDrivers - Drivers from the data provider
+ * @param {array} curatedDrivers - Drivers from data/teams.json
+ * @param {array} conflicts - Conflict list to append to
+ * @returns {array} - Merged driver objects with curated IDs
+ */
+function mergeDriversWithCurated(apiDrivers, curatedDrivers, conflicts) {
+    const driverIndex = buildAliasIndex(curatedDrivers);
+
+    return apiDrivers.map(apiDriver => {
+        const driverId = resolveAlias(driverIndex, apiDriver.id) || resolveAlias(driverIndex, apiDriver.name);
+        const curatedDriver = curatedDrivers.find(driver => driver.id === driverId);
+
+        if (!curatedDriver) {
+            conflicts.push({
+                type: 'unmatched',
+                id: apiDriver.id,
+                message: `${apiDriver.id}: API driver "${apiDriver.name}" has no match in the curated file`
+            });
+            return apiDriver;
+        }
+        return mergeRecord(curatedDriver, apiDriver, conflicts);
+    });
+}
+
+/**
+ * Fill presentation fields that no source provided
+ * @param {object} team - Team object
+ * @returns {object} - Team object with logo, colour and drivers set
+ */
+function withTeamDefaults(team) {
+    return {
+        ...team,
+        logo: team.logo || `/images/logos/${team.id}.svg`,
+        accent_color: team.accent_color || getTeamAccentColor(team.name),
+        drivers: team.drivers || []
+    };
+}
+
+/**
+ * Report merge conflicts in the console
+ * @param {array} conflicts - Conflicts from mergeTeamsWithCurated()
+ */
+function reportMergeConflicts(conflicts) {
+    if (!conflicts || conflicts.length === 0) return;
+
+    console.warn(`Merging API data with data/teams.json found ${conflicts.length} issue(s):`);
+    conflicts.forEach(conflict => console.warn(`  - ${conflict.message}`));
+}
+
+// Expose the merge helpers to Node scripts; in the browser the functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildAliasIndex,
+        resolveAlias,
+        mergeTeamsWithCurated,
+        mergeDriversWithCurated,
+        reportMergeConflicts
+    };
+}
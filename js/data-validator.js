@@ -0,0 +1,303 @@
+/**
+ * DATA-VALIDATOR.JS
+ * Checks teams and drivers before they reach the renderers.
+ * Bad records are repaired where a safe default exists and dropped otherwise.
+ * Run from Node against a JSON file: node js/data-validator.js data/teams.json
+ */
+
+const DEFAULT_ACCENT_COLOR = '#FF1801';
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const DRIVER_NUMBER_PATTERN = /^\d{1,2}$/;
+
+// Optional numeric fields: anything that is not a number is reset (team figures to null, driver stats to 0)
+const TEAM_NUMBER_FIELDS = ['founded', 'championships', 'wins', 'podiums'];
+const DRIVER_NUMBER_FIELDS = ['points', 'races', 'wins', 'podiums', 'fastestLaps'];
+
+// Optional text fields: anything that is not a string is replaced by the default
+const TEAM_TEXT_DEFAULTS = { country: '', principal: null, powerUnit: null, website: null };
+const DRIVER_TEXT_DEFAULTS = { nationality: '' };
+
+// Warnings shown in the navbar, by data source
+const dataWarningsBySource = new Map();
+
+/**
+ * Validate an array of teams and their drivers
+ * @param {array} teams - Array of team objects from any data source
+ * @returns {object} - { teams, warnings } with the repaired teams and a list of readable warnings
+ */
+function validateTeamsData(teams) {
+    const warnings = [];
+
+    if (!Array.isArray(teams)) {
+        warnings.push('Teams data is not an array; nothing to show');
+        return { teams: [], warnings };
+    }
+
+    const teamIds = new Set();
+    const driverIds = new Set();
+    const driverNumbers = new Map();
+
+    const validTeams = teams
+        .map((team, index) => validateTeam(team, index, warnings))
+        .filter(team => {
+            if (!team) return false;
+            if (teamIds.has(team.id)) {
+                warnings.push(`Team "${team.id}": duplicate ID, record dropped`);
+                return false;
+            }
+            teamIds.add(team.id);
+            return true;
+        })
+        .map(team => ({
+            ...team,
+            drivers: team.drivers.filter(driver => {
+                if (driverIds.has(driver.id)) {
+                    warnings.push(`Driver "${driver.id}" (${team.id}): duplicate ID, record dropped`);
+                    return false;
+                }
+                driverIds.add(driver.id);
+
+                // Two drivers cannot share a number, but there is no telling which one is right.
+                // "0" marks a driver without a permanent number.
+                if (driver.number === '0') return true;
+                if (driverNumbers.has(driver.number)) {
+                    warnings.push(`Driver "${driver.id}" (${team.id}): number ${driver.number} is also used by "${driverNumbers.get(driver.number)}"`);
+                } else {
+                    driverNumbers.set(driver.number, driver.id);
+                }
+                return true;
+            })
+        }));
+
+    return { teams: validTeams, warnings };
+}
+
+/**
+ * Validate and repair a single team
+ * @param {object} team - Team object
+ * @param {number} index - Position in the source array (for messages)
+ * @param {array} warnings - Warning list to append to
+ * @returns {object|null} - Repaired team, or null when it cannot be used
+ */
+function validateTeam(team, index, warnings) {
+    if (!team || typeof team !== 'object') {
+        warnings.push(`Team #${index + 1}: not an object, record dropped`);
+        return null;
+    }
+    if (!isNonEmptyString(team.id) || !isNonEmptyString(team.name)) {
+        warnings.push(`Team #${index + 1}: missing "id" or "name", record dropped`);
+        return null;
+    }
+
+    const label = `Team "${team.id}"`;
+    const repaired = { ...team };
+
+    repairTextFields(repaired, TEAM_TEXT_DEFAULTS, label, warnings);
+    repairNumberFields(repaired, TEAM_NUMBER_FIELDS, null, label, warnings);
+    repairCountryField(repaired, 'country', label, warnings);
+
+    if (!HEX_COLOR_PATTERN.test(repaired.accent_color || '')) {
+        warnings.push(`${label}: invalid accent_color "${repaired.accent_color}", using ${DEFAULT_ACCENT_COLOR}`);
+        repaired.accent_color = DEFAULT_ACCENT_COLOR;
+    }
+
+    if (!isNonEmptyString(repaired.logo)) {
+        repaired.logo = `/images/logos/${repaired.id}.svg`;
+    }
+
+    if (!Array.isArray(repaired.drivers)) {
+        warnings.push(`${label}: "drivers" is not an array, using an empty line-up`);
+        repaired.drivers = [];
+    }
+
+    repaired.drivers = repaired.drivers
+        .map((driver, driverIndex) => validateDriver(driver, driverIndex, repaired.id, warnings))
+        .filter(Boolean);
+
+    return repaired;
+}
+
+/**
+ * Validate and repair a single driver
+ * @param {object} driver - Driver object
+ * @param {number} index - Position in the team's line-up (for messages)
+ * @param {string} teamId - Owning team ID (for messages)
+ * @param {array} warnings - Warning list to append to
+ * @returns {object|null} - Repaired driver, or null when it cannot be used
+ */
+function validateDriver(driver, index, teamId, warnings) {
+    if (!driver || typeof driver !== 'object') {
+        warnings.push(`Driver #${index + 1} (${teamId}): not an object, record dropped`);
+        return null;
+    }
+    if (!isNonEmptyString(driver.id) || !isNonEmptyString(driver.name)) {
+        warnings.push(`Driver #${index + 1} (${teamId}): missing "id" or "name", record dropped`);
+        return null;
+    }
+
+    const label = `Driver "${driver.id}" (${teamId})`;
+    const repaired = { ...driver };
+
+    repairTextFields(repaired, DRIVER_TEXT_DEFAULTS, label, warnings);
+    repairNumberFields(repaired, DRIVER_NUMBER_FIELDS, 0, label, warnings);
+    repairCountryField(repaired, 'nationality', label, warnings);
+
+    // Numbers are stored as strings; accept numeric input as long as it is a valid race number
+    const number = repaired.number === undefined || repaired.number === null ? '' : String(repaired.number);
+    if (!DRIVER_NUMBER_PATTERN.test(number)) {
+        warnings.push(`${label}: invalid number "${repaired.number}", using "0"`);
+        repaired.number = '0';
+    } else {
+        repaired.number = number;
+    }
+
+    if (!isNonEmptyString(repaired.image)) {
+        repaired.image = `/images/drivers/${repaired.id}.svg`;
+    }
+
+    return repaired;
+}
+
+/**
+ * Replace optional text fields that are not strings
+ * @param {object} record - Record to repair in place
+ * @param {object} defaults - Field -> default value
+ * @param {string} label - Record label for messages
+ * @param {array} warnings - Warning list to append to
+ */
+function repairTextFields(record, defaults, label, warnings) {
+    Object.entries(defaults).forEach(([field, defaultValue]) => {
+        const value = record[field];
+        if (value === undefined || value === null) {
+            if (defaultValue === '') {
+                warnings.push(`${label}: missing "${field}"`);
+            }
+            record[field] = defaultValue;
+        } else if (typeof value !== 'string') {
+            warnings.push(`${label}: "${field}" should be text, got ${typeof value}`);
+            record[field] = defaultValue;
+        }
+    });
+}
+
+/**
+ * Convert a country or nationality to an ISO 3166-1 alpha-2 code.
+ * Text from earlier releases ("🇬🇧 British") is converted; unknown values are cleared.
+ * @param {object} record - Record to repair in place
+ * @param {string} field - 'country' or 'nationality'
+ * @param {string} label - Record label for messages
+ * @param {array} warnings - Warning list to append to
+ */
+function repairCountryField(record, field, label, warnings) {
+    const value = record[field];
+    if (value === '' || isCountryCode(value)) return;
+
+    const code = toCountryCode(value);
+    if (code) {
+        warnings.push(`${label}: "${field}" "${value}" is not an ISO code, using "${code}"`);
+        record[field] = code;
+    } else {
+        warnings.push(`${label}: unknown ${field} "${value}"`);
+        record[field] = '';
+    }
+}
+
+/**
+ * Reset optional numeric fields that are not numbers
+ * @param {object} record - Record to repair in place
+ * @param {array} fields - Field names
+ * @param {*} resetValue - Value used in place of an invalid number
+ * @param {string} label - Record label for messages
+ * @param {array} warnings - Warning list to append to
+ */
+function repairNumberFields(record, fields, resetValue, label, warnings) {
+    fields.forEach(field => {
+        const value = record[field];
+        if (value === undefined || value === null) return;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            warnings.push(`${label}: "${field}" should be a non-negative number, got "${value}"`);
+            record[field] = resetValue;
+        }
+    });
+}
+
+/**
+ * Check for a string with content
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-empty strings
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Report validation warnings in the page and in the console
+ * @param {array} warnings - Warnings from validateTeamsData()
+ * @param {string} source - Name of the data source (for the heading)
+ */
+function reportValidationWarnings(warnings, source) {
+    showDataWarnings(warnings || [], source);
+    if (!warnings || warnings.length === 0) return;
+
+    console.warn(`Validating ${source} found ${warnings.length} issue(s):`);
+    warnings.forEach(warning => console.warn(`  - ${warning}`));
+}
+
+/**
+ * Show the repaired and dropped records in the navbar: a count that expands
+ * into the list. A clean reload of a source clears its warnings.
+ * @param {array} warnings - Warnings from validateTeamsData()
+ * @param {string} source - Name of the data source (for the heading)
+ */
+function showDataWarnings(warnings, source) {
+    const panel = typeof document !== 'undefined' ? document.getElementById('data-warnings') : null;
+    if (!panel) return;
+
+    if (warnings.length > 0) {
+        dataWarningsBySource.set(source, warnings);
+    } else {
+        dataWarningsBySource.delete(source);
+    }
+
+    const count = [...dataWarningsBySource.values()].reduce((total, list) => total + list.length, 0);
+    panel.hidden = count === 0;
+    if (count === 0) return;
+
+    render(panel, html`
+        <summary>${t('dataWarnings.summary', { count, value: formatNumber(count) })}</summary>
+        <div class="data-warnings-list">
+            <p>${t('dataWarnings.intro')}</p>
+            ${[...dataWarningsBySource.entries()].map(([name, list]) => html`
+                <h3>${name}</h3>
+                <ul>${list.map(warning => html`<li>${warning}</li>`)}</ul>
+            `)}
+        </div>
+    `);
+}
+
+// Expose the validator to Node scripts; in the browser the functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        validateTeamsData,
+        validateTeam,
+        validateDriver
+    };
+
+    // node js/data-validator.js [file] - exits with 1 when the file has issues
+    if (require.main === module) {
+        // The country helpers are globals in the browser
+        Object.assign(global, require('./countries.js'));
+
+        const fs = require('fs');
+        const file = process.argv[2] || 'data/teams.json';
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const { teams, warnings } = validateTeamsData(Array.isArray(data) ? data : data.teams);
+
+        if (warnings.length === 0) {
+            console.log(`${file}: ${teams.length} teams OK`);
+        } else {
+            reportValidationWarnings(warnings, file);
+            process.exitCode = 1;
+        }
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * DRIVER-COMPARE.JS
+ * Head-to-head comparison of two drivers on the drivers page.
+ * The selected pair is kept in the URL as ?compare=<driverA>,<driverB>.
+ */
+
+const COMPARE_PARAM = 'compare';
+
+let compareDrivers = [];
+let comparePair = [null, null];
+let compareSeasonResults = null;
+let compareSeason = null;
+
+/**
+ * Fill the driver pickers and render the comparison for the drivers of a season
+ * @param {array} drivers - Driver objects from extractAllDrivers()
+ * @param {number} season - Season year
+ */
+function initCompareView(drivers, season) {
+    const selectA = document.getElementById('compare-driver-a');
+    const selectB = document.getElementById('compare-driver-b');
+    if (!selectA || !selectB) return;
+
+    compareDrivers = drivers;
+    comparePair = getComparePairFromURL()
+        .map(driverId => (drivers.some(driver => driver.id === driverId) ? driverId : null));
+
+    [selectA, selectB].forEach((select, index) => {
+        render(select, html`
+            <option value="">${t('compare.selectDriver')}</option>
+            ${drivers.map(driver => html`
+                <option value="${driver.id}" ${driver.id === comparePair[index] ? 'selected' : ''}>${driver.name} (${driver.teamName})</option>
+            `)}
+        `);
+
+        if (!select.dataset.bound) {
+            select.dataset.bound = 'true';
+            select.addEventListener('change', () => {
+                comparePair[index] = select.value || null;
+                setComparePairInURL(comparePair);
+                renderComparison();
+            });
+        }
+    });
+
+    if (compareSeason !== season) {
+        compareSeason = season;
+        compareSeasonResults = null;
+        loadSeasonResults(season)
+            .then(seasonResults => {
+                // Another season may have been picked while the results were loading
+                if (compareSeason !== season) return;
+                compareSeasonResults = seasonResults;
+                renderComparison();
+            })
+            .catch(error => console.warn('Round-by-round results unavailable:', error));
+    }
+
+    renderComparison();
+}
+
+/**
+ * Read the compared pair from the URL
+ * @returns {array} - [driverIdA, driverIdB], null for a missing side
+ */
+function getComparePairFromURL() {
+    const value = getQueryParam(COMPARE_PARAM) || '';
+    const [driverA, driverB] = value.split(',');
+    return [driverA || null, driverB || null];
+}
+
+/**
+ * Store the compared pair in the URL
+ * @param {array} pair - [driverIdA, driverIdB]
+ */
+function setComparePairInURL(pair) {
+    const url = new URL(window.location.href);
+    if (pair[0] || pair[1]) {
+        url.searchParams.set(COMPARE_PARAM, pair.map(driverId => driverId || '').join(','));
+    } else {
+        url.searchParams.delete(COMPARE_PARAM);
+    }
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Render the comparison for the current pair
+ */
+function renderComparison() {
+    const container = document.getElementById('compare-results');
+    if (!container) return;
+
+    const [driverA, driverB] = comparePair.map(driverId => compareDrivers.find(driver => driver.id === driverId));
+    if (!driverA || !driverB) {
+        render(container, html`<div class="teams-loading">${t('compare.pickTwo')}</div>`);
+        return;
+    }
+
+    render(container, html`
+        ${renderCompareHeader(driverA, driverB)}
+        ${renderCompareStats(driverA, driverB)}
+        ${renderRoundGaps(driverA, driverB)}
+    `);
+}
+
+/**
+ * Compute the compared statistics of a driver
+ * @param {object} driver - Driver object
+ * @returns {object} - { points, races, wins, pointsPerRace, winRatio }
+ */
+function computeCompareStats(driver) {
+    const points = driver.points || 0;
+    const races = driver.races || 0;
+    const wins = driver.wins || 0;
+
+    return {
+        points,
+        races,
+        wins,
+        pointsPerRace: races ? points / races : 0,
+        winRatio: races ? (wins / races) * 100 : 0
+    };
+}
+
+/**
+ * Render the two driver headers
+ * @param {object} driverA - First driver
+ * @param {object} driverB - Second driver
+ * @returns {object} - Safe markup for the headers
+ */
+function renderCompareHeader(driverA, driverB) {
+    const renderDriver = driver => html`
+        <div class="compare-driver" style="--team-color: ${driver.teamColor}">
+            <img src="${driver.image}" alt="${driver.name}" class="compare-driver-image" data-fallback="hide">
+            <div>
+                <div class="compare-driver-name">#${driver.number} ${driver.name}</div>
+                <div class="compare-driver-team">${driver.teamName}</div>
+            </div>
+        </div>
+    `;
+
+    return html`
+        <div class="compare-header">
+            ${renderDriver(driverA)}
+            <span class="compare-vs">${t('compare.vs')}</span>
+            ${renderDriver(driverB)}
+        </div>
+    `;
+}
+
+/**
+ * Render the side-by-side statistics with bars in each driver's team colour
+ * @param {object} driverA - First driver
+ * @param {object} driverB - Second driver
+ * @returns {object} - Safe markup for the statistics
+ */
+function renderCompareStats(driverA, driverB) {
+    const statsA = computeCompareStats(driverA);
+    const statsB = computeCompareStats(driverB);
+
+    const rows = [
+        { key: 'points', label: t('compare.stats.points'), format: value => formatNumber(value) },
+        { key: 'races', label: t('compare.stats.races'), format: value => formatNumber(value) },
+        { key: 'wins', label: t('compare.stats.wins'), format: value => formatNumber(value) },
+        { key: 'pointsPerRace', label: t('compare.stats.pointsPerRace'), format: value => formatDecimal(value) },
+        { key: 'winRatio', label: t('compare.stats.winRatio'), format: value => formatPercent(value) }
+    ];
+
+    return html`
+        <div class="compare-stats">
+            ${rows.map(row => {
+                const valueA = statsA[row.key];
+                const valueB = statsB[row.key];
+                const max = Math.max(valueA, valueB) || 1;
+
+                return html`
+                    <div class="compare-stat-row">
+                        <span class="compare-stat-value">${row.format(valueA)}</span>
+                        <div class="compare-bar compare-bar-left">
+                            <span style="width: ${(valueA / max) * 100}%; background-color: ${driverA.teamColor}"></span>
+                        </div>
+                        <span class="compare-stat-label">${row.label}</span>
+                        <div class="compare-bar">
+                            <span style="width: ${(valueB / max) * 100}%; background-color: ${driverB.teamColor}"></span>
+                        </div>
+                        <span class="compare-stat-value">${row.format(valueB)}</span>
+                    </div>
+                `;
+            })}
+        </div>
+    `;
+}
+
+/**
+ * Work out both drivers' points per round and the running gap between them
+ * @param {object} driverA - First driver
+ * @param {object} driverB - Second driver
+ * @param {object} seasonResults - Season object with rounds
+ * @returns {array} - Rounds with { round, name, pointsA, pointsB, gap }
+ */
+function computeRoundGaps(driverA, driverB, seasonResults) {
+    // Providers may use their own driver IDs (e.g. "max_verstappen")
+    const driverIndex = buildAliasIndex(compareDrivers);
+    let gap = 0;
+
+    return (seasonResults.rounds || [])
+        .filter(round => (round.results && round.results.length > 0) || (round.sprintResults && round.sprintResults.length > 0))
+        .map(round => {
+            const roundEntries = [...(round.sprintResults || []), ...(round.results || [])];
+            const pointsFor = driver => roundEntries
+                .filter(result => (resolveAlias(driverIndex, result.driverId) || result.driverId) === driver.id)
+                .reduce((sum, result) => sum + (result.points || 0), 0);
+
+            const pointsA = pointsFor(driverA);
+            const pointsB = pointsFor(driverB);
+            gap += pointsA - pointsB;
+
+            return { round: round.round, name: round.name, pointsA, pointsB, gap };
+        });
+}
+
+/**
+ * Render the round-by-round gap table
+ * @param {object} driverA - First driver
+ * @param {object} driverB - Second driver
+ * @returns {object} - Safe markup for the gap table, with a note when per-race results are missing or partial
+ */
+function renderRoundGaps(driverA, driverB) {
+    if (!compareSeasonResults) {
+        return html`<p class="compare-note">${t('compare.noResults')}</p>`;
+    }
+
+    const rounds = computeRoundGaps(driverA, driverB, compareSeasonResults);
+    if (rounds.length === 0) {
+        return html`<p class="compare-note">${t('common.noRacesYet')}</p>`;
+    }
+
+    const maxGap = Math.max(...rounds.map(round => Math.abs(round.gap))) || 1;
+    const sumPoints = key => rounds.reduce((sum, round) => sum + round[key], 0);
+    // The season points above may come from live standings that are ahead of the per-round results
+    const isPartial = sumPoints('pointsA') !== (driverA.points || 0) || sumPoints('pointsB') !== (driverB.points || 0);
+
+    return html`
+        <table class="compare-rounds">
+            <thead>
+                <tr>
+                    <th>${t('compare.rounds.round')}</th>
+                    <th>${t('compare.rounds.grandPrix')}</th>
+                    <th>${driverA.name}</th>
+                    <th>${driverB.name}</th>
+                    <th title="${t('compare.rounds.gapTitle', { name: driverA.name })}">${t('compare.rounds.gap')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rounds.map(round => {
+                    const leader = round.gap >= 0 ? driverA : driverB;
+                    return html`
+                        <tr>
+                            <td>${round.round}</td>
+                            <td>${round.name}</td>
+                            <td>${formatNumber(round.pointsA)}</td>
+                            <td>${formatNumber(round.pointsB)}</td>
+                            <td class="compare-gap-cell">
+                                <span class="compare-gap-bar" style="width: ${(Math.abs(round.gap) / maxGap) * 100}%; background-color: ${leader.teamColor}"></span>
+                                <span class="compare-gap-value">${formatNumber(round.gap, { signDisplay: 'exceptZero' })}</span>
+                            </td>
+                        </tr>
+                    `;
+                })}
+            </tbody>
+        </table>
+        ${isPartial && html`<p class="compare-note">${t('compare.partialResults', { round: rounds[rounds.length - 1].round })}</p>`}
+    `;
+}
@@ -0,0 +1,371 @@
+/**
+ * DRIVER-FILTERS.JS
+ * Faceted filter panel on the drivers page: multi-select chips for team,
+ * nationality and power unit, and range sliders for points and wins.
+ * The filter state is kept in the URL, e.g.
+ * ?q=ham&teamFilter=ferrari,mclaren&nationality=GB,NL&pu=Mercedes&points=100-&wins=1-5
+ * A facet's URL parameter is its key unless it names a `param`.
+ */
+
+const DRIVER_FILTER_FACETS = [
+    {
+        key: 'team',
+        // ?team= opens a team's modal on the teams page; the filter gets its own name
+        param: 'teamFilter',
+        labelKey: 'filters.team',
+        value: driver => driver.teamId,
+        display: driver => driver.teamName
+    },
+    {
+        key: 'nationality',
+        labelKey: 'filters.nationality',
+        value: driver => driver.nationality,
+        display: driver => getNationalityName(driver.nationality),
+        icon: value => getCountryFlag(value),
+        // Links from earlier releases use the name ("British")
+        parse: value => toCountryCode(value) || value
+    },
+    {
+        key: 'pu',
+        labelKey: 'filters.powerUnit',
+        value: driver => driver.teamPowerUnit,
+        display: driver => driver.teamPowerUnit
+    }
+];
+
+const DRIVER_FILTER_RANGES = [
+    { key: 'points', labelKey: 'filters.points' },
+    { key: 'wins', labelKey: 'filters.wins' }
+];
+
+const DRIVER_SEARCH_PARAM = 'q';
+
+let driverFilters = getDriverFiltersFromURL();
+let driverFilterBounds = '';
+let onDriverFiltersChange = null;
+
+/**
+ * Bind the filter panel; the callback re-renders the drivers grid
+ * @param {function} onChange - Called whenever the filters change
+ */
+function initDriverFilters(onChange) {
+    onDriverFiltersChange = onChange;
+
+    const searchBox = document.getElementById('search-box');
+    if (searchBox) {
+        searchBox.value = getQueryParam(DRIVER_SEARCH_PARAM) || '';
+    }
+
+    const facets = document.getElementById('driver-filter-facets');
+    if (facets) {
+        facets.addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) {
+                toggleDriverFacet(chip.getAttribute('data-facet'), chip.getAttribute('data-value'));
+            }
+        });
+    }
+
+    const ranges = document.getElementById('driver-filter-ranges');
+    if (ranges) {
+        ranges.addEventListener('input', (e) => {
+            if (e.target.matches('.filter-range-input')) {
+                updateDriverRange(e.target);
+            }
+        });
+    }
+
+    const clearButton = document.getElementById('driver-filter-clear');
+    if (clearButton) {
+        clearButton.addEventListener('click', clearDriverFilters);
+    }
+}
+
+/**
+ * Read the filter state from the URL
+ * @returns {object} - { facets: { key: [values] }, ranges: { key: { min, max } } }
+ */
+function getDriverFiltersFromURL() {
+    const facets = {};
+    DRIVER_FILTER_FACETS.forEach(facet => {
+        const value = getQueryParam(facet.param || facet.key);
+        const values = value ? value.split(',').filter(Boolean) : [];
+        facets[facet.key] = facet.parse ? values.map(facet.parse) : values;
+    });
+
+    const ranges = {};
+    DRIVER_FILTER_RANGES.forEach(range => {
+        const [min, max] = (getQueryParam(range.key) || '').split('-');
+        ranges[range.key] = { min: parseRangeValue(min), max: parseRangeValue(max) };
+    });
+
+    return { facets, ranges };
+}
+
+/**
+ * Parse one end of a range parameter
+ * @param {string} value - Raw value
+ * @returns {number|null} - Number, or null for an open end
+ */
+function parseRangeValue(value) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Store the filter state and search text in the URL
+ * @param {string} query - Search box text
+ */
+function setDriverFiltersInURL(query) {
+    const url = new URL(window.location.href);
+
+    if (query) {
+        url.searchParams.set(DRIVER_SEARCH_PARAM, query);
+    } else {
+        url.searchParams.delete(DRIVER_SEARCH_PARAM);
+    }
+
+    DRIVER_FILTER_FACETS.forEach(facet => {
+        const param = facet.param || facet.key;
+        const values = driverFilters.facets[facet.key];
+        if (values.length > 0) {
+            url.searchParams.set(param, values.join(','));
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+
+    DRIVER_FILTER_RANGES.forEach(range => {
+        const { min, max } = driverFilters.ranges[range.key];
+        if (min !== null || max !== null) {
+            url.searchParams.set(range.key, `${min !== null ? min : ''}-${max !== null ? max : ''}`);
+        } else {
+            url.searchParams.delete(range.key);
+        }
+    });
+
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Apply the facet and range filters
+ * @param {array} drivers - Driver objects (already matched against the search text)
+ * @returns {array} - Drivers matching every active filter
+ */
+function applyDriverFilters(drivers) {
+    return drivers.filter(driver => matchesDriverFilters(driver));
+}
+
+/**
+ * Check a driver against the active filters
+ * @param {object} driver - Driver object
+ * @param {string} ignoredFacet - Facet key to leave out (used for the per-chip counts)
+ * @returns {boolean} - True when the driver matches
+ */
+function matchesDriverFilters(driver, ignoredFacet = null) {
+    const facetsMatch = DRIVER_FILTER_FACETS.every(facet => {
+        const selected = driverFilters.facets[facet.key];
+        return facet.key === ignoredFacet || selected.length === 0 || selected.includes(String(facet.value(driver)));
+    });
+
+    const rangesMatch = DRIVER_FILTER_RANGES.every(range => {
+        const { min, max } = driverFilters.ranges[range.key];
+        const value = driver[range.key] || 0;
+        return (min === null || value >= min) && (max === null || value <= max);
+    });
+
+    return facetsMatch && rangesMatch;
+}
+
+/**
+ * Check whether any facet or range filter is active
+ * @returns {boolean} - True when at least one filter is set
+ */
+function hasDriverFilters() {
+    return DRIVER_FILTER_FACETS.some(facet => driverFilters.facets[facet.key].length > 0) ||
+        DRIVER_FILTER_RANGES.some(range => driverFilters.ranges[range.key].min !== null || driverFilters.ranges[range.key].max !== null);
+}
+
+/**
+ * Render the filter panel
+ * @param {array} allDrivers - Every driver of the season (sets the slider bounds)
+ * @param {array} searchedDrivers - Drivers matching the search text (used for the counts)
+ * @param {number} resultCount - Number of drivers shown in the grid
+ */
+function renderDriverFilterPanel(allDrivers, searchedDrivers, resultCount) {
+    renderDriverFacets(allDrivers, searchedDrivers);
+    renderDriverRanges(allDrivers);
+
+    const count = document.getElementById('driver-filter-count');
+    if (count) {
+        count.textContent = t('filters.count', { count: resultCount, shown: formatNumber(resultCount), total: formatNumber(allDrivers.length) });
+    }
+
+    const clearButton = document.getElementById('driver-filter-clear');
+    if (clearButton) {
+        clearButton.disabled = !hasDriverFilters();
+    }
+}
+
+/**
+ * Render the facet chips with the number of drivers each one would show
+ * @param {array} allDrivers - Every driver of the season
+ * @param {array} searchedDrivers - Drivers matching the search text
+ */
+function renderDriverFacets(allDrivers, searchedDrivers) {
+    const container = document.getElementById('driver-filter-facets');
+    if (!container) return;
+
+    render(container, DRIVER_FILTER_FACETS.map(facet => {
+        const selected = driverFilters.facets[facet.key];
+
+        // Options from the season's drivers, plus selected values from the URL that no driver has
+        const options = new Map();
+        allDrivers.forEach(driver => {
+            const value = facet.value(driver);
+            if (value && !options.has(String(value))) {
+                options.set(String(value), facet.display(driver));
+            }
+        });
+        selected.forEach(value => {
+            if (!options.has(value)) options.set(value, value);
+        });
+
+        // Each count keeps the other facets applied so it shows what a click would give
+        const candidates = searchedDrivers.filter(driver => matchesDriverFilters(driver, facet.key));
+        const chips = [...options.entries()]
+            .sort((a, b) => a[1].localeCompare(b[1], getLocale()))
+            .map(([value, display]) => {
+                const isActive = selected.includes(value);
+                const count = candidates.filter(driver => String(facet.value(driver)) === value).length;
+
+                return html`
+                    <button type="button" class="filter-chip ${isActive ? 'is-active' : ''}"
+                        data-facet="${facet.key}" data-value="${value}" aria-pressed="${isActive}"
+                        ${count === 0 && !isActive ? 'disabled' : ''}>
+                        ${facet.icon ? facet.icon(value) : ''} ${display}<span class="filter-chip-count">${formatNumber(count)}</span>
+                    </button>
+                `;
+            });
+
+        return html`
+            <div class="filter-group">
+                <span class="filter-group-label">${t(facet.labelKey)}</span>
+                <div class="filter-chips">${chips}</div>
+            </div>
+        `;
+    }));
+}
+
+/**
+ * Render the range sliders. They are only rebuilt when the bounds change
+ * so a slider being dragged is not replaced under the pointer.
+ * @param {array} allDrivers - Every driver of the season
+ */
+function renderDriverRanges(allDrivers) {
+    const container = document.getElementById('driver-filter-ranges');
+    if (!container) return;
+
+    const bounds = DRIVER_FILTER_RANGES.map(range => Math.max(0, ...allDrivers.map(driver => driver[range.key] || 0)));
+    const boundsKey = bounds.join(',');
+    if (boundsKey === driverFilterBounds) return;
+    driverFilterBounds = boundsKey;
+
+    render(container, DRIVER_FILTER_RANGES.map((range, index) => {
+        const upper = bounds[index];
+        const { min, max } = driverFilters.ranges[range.key];
+        const label = t(range.labelKey);
+
+        return html`
+            <div class="filter-group filter-range" data-range="${range.key}" data-upper="${upper}">
+                <span class="filter-group-label">${label}</span>
+                <span class="filter-range-value">${formatDriverRange(min, max, upper)}</span>
+                <label class="filter-range-slider">
+                    <span>${t('filters.min')}</span>
+                    <input type="range" class="filter-range-input" data-end="min" min="0" max="${upper}" value="${min !== null ? Math.min(min, upper) : 0}" aria-label="${t('filters.minimumOf', { label })}">
+                </label>
+                <label class="filter-range-slider">
+                    <span>${t('filters.max')}</span>
+                    <input type="range" class="filter-range-input" data-end="max" min="0" max="${upper}" value="${max !== null ? Math.min(max, upper) : upper}" aria-label="${t('filters.maximumOf', { label })}">
+                </label>
+            </div>
+        `;
+    }));
+}
+
+/**
+ * Describe a range for its label
+ * @param {number|null} min - Lower end
+ * @param {number|null} max - Upper end
+ * @param {number} upper - Highest value in the data
+ * @returns {string} - e.g. "100 – 250"
+ */
+function formatDriverRange(min, max, upper) {
+    return `${formatNumber(min !== null ? min : 0)} – ${formatNumber(max !== null ? max : upper)}`;
+}
+
+/**
+ * Add or remove a facet value
+ * @param {string} key - Facet key
+ * @param {string} value - Facet value
+ */
+function toggleDriverFacet(key, value) {
+    const selected = driverFilters.facets[key];
+    if (!selected) return;
+
+    driverFilters.facets[key] = selected.includes(value)
+        ? selected.filter(item => item !== value)
+        : [...selected, value];
+
+    notifyDriverFiltersChange();
+}
+
+/**
+ * Update a range from one of its sliders; a slider at its end leaves that side open
+ * @param {HTMLInputElement} input - Moved slider
+ */
+function updateDriverRange(input) {
+    const group = input.closest('.filter-range');
+    const key = group.getAttribute('data-range');
+    const upper = parseInt(group.getAttribute('data-upper'), 10);
+    const range = driverFilters.ranges[key];
+    const value = parseInt(input.value, 10);
+
+    if (input.getAttribute('data-end') === 'min') {
+        range.min = value > 0 ? value : null;
+    } else {
+        range.max = value < upper ? value : null;
+    }
+
+    const label = group.querySelector('.filter-range-value');
+    if (label) {
+        label.textContent = formatDriverRange(range.min, range.max, upper);
+    }
+
+    notifyDriverFiltersChange();
+}
+
+/**
+ * Reset every facet and range filter (the search text is kept)
+ */
+function clearDriverFilters() {
+    DRIVER_FILTER_FACETS.forEach(facet => {
+        driverFilters.facets[facet.key] = [];
+    });
+    DRIVER_FILTER_RANGES.forEach(range => {
+        driverFilters.ranges[range.key] = { min: null, max: null };
+    });
+
+    // Force the sliders back to their ends
+    driverFilterBounds = '';
+    notifyDriverFiltersChange();
+}
+
+/**
+ * Tell the page the filters changed
+ */
+function notifyDriverFiltersChange() {
+    if (onDriverFiltersChange) {
+        onDriverFiltersChange();
+    }
+}
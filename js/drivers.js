@@ -11,20 +11,47 @@ let currentModalDriver = null;
 /**
  * Initialize the drivers page on page load
  */
-function initDriversPage() {
+async function initDriversPage() {
     console.log('Initializing F1 Drivers Page...');
 
     // Initialize theme (check for saved preference)
     initTheme();
 
+    // Load the saved language before anything is rendered
+    await initI18n();
+
     // Bind event listeners
     bindEventListeners();
 
+    // Placeholders for photos that fail to load
+    initImageFallbacks();
+
+    // Restore the search text and filter panel state from the URL
+    initDriverFilters(refreshDriversView);
+
+    // Populate season picker from the URL
+    initSeasonPicker(handleSeasonChange);
+
     // Load teams and drivers data
     loadAndRenderDrivers();
 
     // Initialize navbar scroll effect
     initNavbarScroll();
+
+    // Register the service worker and offline indicator
+    initOfflineSupport();
+
+    // Navbar search across teams and drivers
+    initGlobalSearch();
+
+    // Star toggles on the driver cards
+    initFavourites(refreshDriversView);
+
+    // CSV / JSON downloads of the filtered grid
+    initExportButtons(getDriversExport);
+
+    // PNG stat card of the driver in the modal
+    initShareCards(() => currentModalDriver && getDriverShareCard(currentModalDriver, allTeamsData, getSelectedSeason()));
 }
 
 /**
@@ -100,6 +127,25 @@ function bindEventListeners() {
         }
     });
 
+    // Back / Forward open and close the driver modal
+    window.addEventListener('popstate', handleModalHistory);
+
+    // "View details" buttons of the driver cards (delegated, survives re-renders)
+    const driversGrid = document.getElementById('drivers-grid');
+    if (driversGrid) {
+        driversGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('.view-details-button');
+            if (button) {
+                openDriverModal(button.closest('.team-card').getAttribute('data-driver-id'));
+            }
+        });
+    }
+
+    // Arrow keys move through the driver cards, Enter opens one
+    initGridNavigation(driversGrid, '.team-card', card => {
+        openDriverModal(card.getAttribute('data-driver-id'));
+    });
+
     // Navigation links
     document.querySelectorAll('.nav-link').forEach(link => {
         link.addEventListener('click', (e) => {
@@ -134,24 +180,54 @@ function initNavbarScroll() {
  */
 async function loadAndRenderDrivers() {
     try {
-        console.log('Loading teams and drivers data...');
-        allTeamsData = await fetchTeamsData();
+        const season = getSelectedSeason();
+        console.log(`Loading teams and drivers data for ${season}...`);
+        const teams = await fetchTeamsData(season, freshTeams => {
+            if (season !== getSelectedSeason()) return;
+            console.log(`Refreshed ${season} drivers data`);
+            allTeamsData = freshTeams;
+            allDriversData = extractAllDrivers(allTeamsData);
+            refreshDriversView();
+            initCompareView(allDriversData, season);
+            refreshOpenDriverModal();
+        });
+
+        // A different season may have been picked while this one was loading
+        if (season !== getSelectedSeason()) return;
+        allTeamsData = teams;
 
         if (allTeamsData && allTeamsData.length > 0) {
             // Extract all drivers from all teams
             allDriversData = extractAllDrivers(allTeamsData);
             console.log(`Loaded ${allDriversData.length} drivers from ${allTeamsData.length} teams`);
-            renderDriversToDOM(allDriversData);
+            refreshDriversView();
+            initCompareView(allDriversData, season);
+            openLinkedDriverModal();
         } else {
             console.warn('No teams data available');
-            renderErrorMessage('Failed to load drivers. Please refresh the page.');
+            renderErrorMessage(t('drivers.loadFailed'));
         }
     } catch (error) {
         console.error('Error loading drivers:', error);
-        renderErrorMessage('Error loading drivers data. Please try again later.');
+        renderErrorMessage(t('drivers.loadError'));
     }
 }
 
+/**
+ * Reload drivers when a different season is picked
+ */
+function handleSeasonChange() {
+    const searchBox = document.getElementById('search-box');
+    if (searchBox) searchBox.value = '';
+
+    const driversGrid = document.getElementById('drivers-grid');
+    render(driversGrid, html`<div class="teams-loading">${t('drivers.loading')}</div>`);
+
+    // A ?driver= link reopens the modal once the season's drivers are loaded
+    hideDriverModal();
+    loadAndRenderDrivers();
+}
+
 /**
  * Extract all drivers from all teams
  * @param {array} teams - Array of team objects
@@ -168,7 +244,8 @@ function extractAllDrivers(teams) {
                     teamId: team.id,
                     teamName: team.name,
                     teamColor: team.accent_color,
-                    teamLogo: team.logo
+                    teamLogo: team.logo,
+                    teamPowerUnit: team.powerUnit
                 });
             });
         }
@@ -185,40 +262,85 @@ function renderDriversToDOM(drivers) {
     const driversGrid = document.getElementById('drivers-grid');
     if (!driversGrid) return;
 
-    const html = renderDriversGrid(drivers);
-    driversGrid.innerHTML = html;
-
-    // Add event listeners to driver cards
-    document.querySelectorAll('.team-card').forEach(card => {
-        const driverId = card.getAttribute('data-driver-id');
-        const viewDetailsBtn = card.querySelector('.view-details-button');
-        if (viewDetailsBtn) {
-            viewDetailsBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                openDriverModal(driverId);
-            });
-        }
-    });
+    render(driversGrid, renderDriversGrid(drivers));
 }
 
 /**
  * Render drivers grid
  * @param {array} drivers - Array of driver objects
- * @returns {string} - HTML string for drivers grid
+ * @returns {object} - Safe markup for the drivers grid
  */
 function renderDriversGrid(drivers) {
     if (!drivers || drivers.length === 0) {
-        return '<div class="teams-loading">No drivers found.</div>';
+        return html`<div class="teams-loading">${t('drivers.empty')}</div>`;
     }
 
-    return drivers.map(driver => `
-        <div class="team-card" data-driver-id="${driver.id}" style="--team-color: ${driver.teamColor}">
-            <img src="${driver.image}" alt="${driver.name}" class="team-logo" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><circle cx=%2250%22 cy=%2250%22 r=%2230%22 fill=%22%23CCC%22/><text x=%2250%25%22 y=%2255%25%22 font-size=%2220%22 fill=%22%23999%22 text-anchor=%22middle%22 dominant-baseline=%22middle%22>#${driver.number}</text></svg>'">
+    return html`${drivers.map(driver => html`
+        <div class="team-card" data-driver-id="${driver.id}" role="listitem" tabindex="-1" style="--team-color: ${driver.teamColor}">
+            ${renderFavouriteToggle('driver', driver.id, driver.name)}
+            <img src="${driver.image}" alt="${driver.name}" class="team-logo" data-fallback="${getDriverPhotoPlaceholder(driver)}">
             <h3 class="team-name">${driver.name}</h3>
             <p class="team-country">${driver.teamName}</p>
-            <button class="view-details-button">View Details</button>
+            <button class="view-details-button">${t('common.viewDetails')}</button>
         </div>
-    `).join('');
+    `)}`;
+}
+
+/**
+ * Build the placeholder shown when a driver photo fails to load
+ * @param {object} driver - Driver object
+ * @returns {string} - Image data URL with the driver's number
+ */
+function getDriverPhotoPlaceholder(driver) {
+    return svgDataUrl(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="30" fill="#CCC"/><text x="50%" y="55%" font-size="20" fill="#999" text-anchor="middle" dominant-baseline="middle">#${escapeHTML(driver.number)}</text></svg>`);
+}
+
+/**
+ * Re-render the drivers grid with the current search and filters applied
+ * @returns {array} - Drivers shown in the grid
+ */
+function refreshDriversView() {
+    const query = getDriverSearchQuery();
+    const searched = query ? filterDrivers(query, allDriversData) : allDriversData;
+    const filtered = applyDriverFilters(searched);
+
+    setDriverFiltersInURL(query);
+    renderDriverFilterPanel(allDriversData, searched, filtered.length);
+    renderDriversToDOM(filtered);
+    return filtered;
+}
+
+/**
+ * Read the search box text
+ * @returns {string} - Trimmed query
+ */
+function getDriverSearchQuery() {
+    const searchBox = document.getElementById('search-box');
+    return searchBox ? searchBox.value.trim() : '';
+}
+
+/**
+ * Describe the drivers shown in the grid for an export
+ * @returns {object} - { filename, columns, rows }
+ */
+function getDriversExport() {
+    const query = getDriverSearchQuery();
+
+    return {
+        filename: `f1-drivers-${getSelectedSeason()}`,
+        columns: [
+            { key: 'number', label: t('export.columns.number'), value: driver => driver.number },
+            { key: 'name', label: t('export.columns.driver'), value: driver => driver.name },
+            { key: 'team', label: t('export.columns.team'), value: driver => driver.teamName },
+            { key: 'nationality', label: t('export.columns.nationality'), value: driver => getNationalityName(driver.nationality) },
+            { key: 'powerUnit', label: t('export.columns.powerUnit'), value: driver => driver.teamPowerUnit },
+            { key: 'points', label: t('export.columns.points'), value: driver => driver.points || 0 },
+            { key: 'races', label: t('export.columns.races'), value: driver => driver.races || 0 },
+            { key: 'wins', label: t('export.columns.wins'), value: driver => driver.wins || 0 },
+            { key: 'podiums', label: t('export.columns.podiums'), value: driver => driver.podiums || 0 }
+        ],
+        rows: applyDriverFilters(query ? filterDrivers(query, allDriversData) : allDriversData)
+    };
 }
 
 /**
@@ -226,15 +348,9 @@ function renderDriversGrid(drivers) {
  * @param {Event} event - Input event from search box
  */
 function handleSearch(event) {
-    const query = event.target.value.trim();
-    console.log('Searching drivers:', query);
-
-    if (query === '') {
-        renderDriversToDOM(allDriversData);
-    } else {
-        const filtered = filterDrivers(query, allDriversData);
-        renderDriversToDOM(filtered);
-    }
+    console.log('Searching drivers:', event.target.value.trim());
+    const shown = refreshDriversView();
+    announce(t('filters.count', { count: shown.length, shown: formatNumber(shown.length), total: formatNumber(allDriversData.length) }));
 }
 
 /**
@@ -252,7 +368,7 @@ function filterDrivers(query, drivers) {
     return drivers.filter(driver =>
         driver.name.toLowerCase().includes(lowerQuery) ||
         driver.teamName.toLowerCase().includes(lowerQuery) ||
-        driver.nationality.toLowerCase().includes(lowerQuery)
+        matchesCountry(driver.nationality, lowerQuery)
     );
 }
 
@@ -273,8 +389,9 @@ function debounce(func, delay) {
 /**
  * Open driver details modal
  * @param {string} driverId - The driver ID to display
+ * @param {boolean} updateHistory - Add ?driver=<id> to the URL as a new history entry
  */
-function openDriverModal(driverId) {
+function openDriverModal(driverId, updateHistory = true) {
     if (!driverId || !allDriversData) return;
 
     const driver = allDriversData.find(d => d.id === driverId);
@@ -288,89 +405,165 @@ function openDriverModal(driverId) {
     const modalOverlay = document.getElementById('modal-overlay');
 
     if (modalContent && modalOverlay) {
-        const html = renderDriverDetailsModal(driver);
-        modalContent.innerHTML = html;
-        modalOverlay.classList.add('active');
+        if (updateHistory) {
+            // Switching drivers while the modal is open replaces the entry instead of stacking them
+            const url = getUrlWithQueryParam('driver', driver.id);
+            if (modalOverlay.classList.contains('active')) {
+                history.replaceState(history.state, '', url);
+            } else {
+                history.pushState({ modal: 'driver' }, '', url);
+            }
+        }
+
+        render(modalContent, renderDriverDetailsModal(driver));
+        openDialog(modalOverlay);
         document.body.style.overflow = 'hidden';
 
         console.log('Opened modal for driver:', driver.name);
     }
 }
 
+/**
+ * Re-render an open driver modal from the current drivers data (after a background refresh)
+ */
+function refreshOpenDriverModal() {
+    if (!currentModalDriver) return;
+
+    if (allDriversData.some(driver => driver.id === currentModalDriver.id)) {
+        openDriverModal(currentModalDriver.id, false);
+    } else {
+        closeDriverModal();
+    }
+}
+
+/**
+ * Open the driver modal linked from the URL (drivers.html?driver=<id>)
+ */
+function openLinkedDriverModal() {
+    const driverId = getQueryParam('driver');
+    if (driverId) {
+        openDriverModal(driverId, false);
+    }
+}
+
+/**
+ * Sync the modal with the URL after Back / Forward
+ */
+function handleModalHistory() {
+    const driverId = getQueryParam('driver');
+    if (driverId) {
+        openDriverModal(driverId, false);
+    } else {
+        hideDriverModal();
+    }
+}
+
 /**
  * Close driver details modal
  */
 function closeDriverModal() {
+    const modalOverlay = document.getElementById('modal-overlay');
+    if (!modalOverlay || !modalOverlay.classList.contains('active')) return;
+
+    // Step back over the entry added when the modal opened; popstate then hides it
+    if (history.state && history.state.modal === 'driver') {
+        history.back();
+        return;
+    }
+
+    // Opened from a link: there is no entry of our own to go back to
+    history.replaceState(null, '', getUrlWithQueryParam('driver', null));
+    hideDriverModal();
+}
+
+/**
+ * Hide the driver modal without touching the history
+ */
+function hideDriverModal() {
     const modalOverlay = document.getElementById('modal-overlay');
     if (modalOverlay) {
-        modalOverlay.classList.remove('active');
+        closeDialog(modalOverlay);
         document.body.style.overflow = 'auto';
+        currentModalDriver = null;
         console.log('Closed driver modal');
     }
 }
 
+/**
+ * Link to the team modal on the teams page, keeping the selected season
+ * @param {string} teamId - Team ID
+ * @returns {string} - URL of index.html?team=<id>
+ */
+function getTeamModalUrl(teamId) {
+    const params = new URLSearchParams();
+    const season = getQueryParam('season');
+    if (season) params.set('season', season);
+    params.set('team', teamId);
+    return `index.html?${params}`;
+}
+
 /**
  * Render driver details modal content
  * @param {object} driver - Driver object
- * @returns {string} - HTML string for driver details
+ * @returns {object} - Safe markup for the driver details
  */
 function renderDriverDetailsModal(driver) {
     if (!driver) {
-        return '<div>Driver not found.</div>';
+        return html`<div>${t('drivers.notFound')}</div>`;
     }
 
-    return `
+    return html`
         <div style="--team-color: ${driver.teamColor}">
         <div class="modal-banner" style="background: linear-gradient(135deg, ${driver.teamColor}, rgba(255, 24, 1, 0.3));">
-            <img src="${driver.image}" alt="${driver.name}" class="modal-banner-logo" style="width: 120px; height: 150px; object-fit: cover;">
-            <h2 class="modal-banner-title">#${driver.number} ${driver.name}</h2>
+            <img src="${driver.image}" alt="${driver.name}" class="modal-banner-logo" data-fallback="${getDriverPhotoPlaceholder(driver)}" style="width: 120px; height: 150px; object-fit: cover;">
+            <h2 class="modal-banner-title" id="modal-title">#${driver.number} ${driver.name}</h2>
         </div>
 
         <div class="modal-grid">
             <!-- Left Column: Driver Info -->
             <div class="modal-info-section">
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Team</span>
+                    <span class="modal-info-label">${t('drivers.modal.team')}</span>
                     <span class="modal-info-value">${driver.teamName}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Driver Number</span>
+                    <span class="modal-info-label">${t('drivers.modal.number')}</span>
                     <span class="modal-info-value">#${driver.number}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Nationality</span>
-                    <span class="modal-info-value">${driver.nationality}</span>
+                    <span class="modal-info-label">${t('drivers.modal.nationality')}</span>
+                    <span class="modal-info-value">${formatNationality(driver.nationality)}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Points</span>
-                    <span class="modal-info-value">${driver.points || 0}</span>
+                    <span class="modal-info-label">${t('drivers.modal.points')}</span>
+                    <span class="modal-info-value">${formatNumber(driver.points)}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Races</span>
-                    <span class="modal-info-value">${driver.races || 0}</span>
+                    <span class="modal-info-label">${t('drivers.modal.races')}</span>
+                    <span class="modal-info-value">${formatNumber(driver.races)}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Career Wins</span>
-                    <span class="modal-info-value">${driver.wins || 0}</span>
+                    <span class="modal-info-label">${t('drivers.modal.careerWins')}</span>
+                    <span class="modal-info-value">${formatNumber(driver.wins)}</span>
                 </div>
             </div>
 
             <!-- Right Column: Stats Display -->
             <div class="modal-info-section">
                 <div class="modal-info-item" style="flex-direction: column; align-items: flex-start;">
-                    <span class="modal-info-label">Career Statistics</span>
+                    <span class="modal-info-label">${t('drivers.modal.careerStats')}</span>
                     <div style="margin-top: 12px; width: 100%;">
                         <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.1);">
-                            <span>Points Average:</span>
-                            <strong>${driver.races ? (driver.points / driver.races).toFixed(1) : '0'} pts/race</strong>
+                            <span>${t('drivers.modal.pointsAverage')}</span>
+                            <strong>${t('drivers.modal.pointsPerRace', { value: formatDecimal(driver.races ? driver.points / driver.races : 0) })}</strong>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.1);">
-                            <span>Win Ratio:</span>
-                            <strong>${driver.races ? ((driver.wins / driver.races) * 100).toFixed(1) : '0'}%</strong>
+                            <span>${t('drivers.modal.winRatio')}</span>
+                            <strong>${formatPercent(driver.races ? (driver.wins / driver.races) * 100 : 0)}</strong>
                         </div>
                         <div style="display: flex; justify-content: space-between; padding: 8px 0;">
-                            <span>Status:</span>
-                            <strong style="color: ${driver.teamColor}">Active</strong>
+                            <span>${t('drivers.modal.status')}</span>
+                            <strong style="color: ${driver.teamColor}">${t('drivers.modal.active')}</strong>
                         </div>
                     </div>
                 </div>
@@ -379,9 +572,10 @@ function renderDriverDetailsModal(driver) {
 
         <!-- Modal Footer -->
         <div class="modal-footer">
-            <button class="modal-link-button" style="background-color: ${driver.teamColor}" onclick="window.location.href='index.html#teams-section'">
-                View Team
-            </button>
+            <a href="${getTeamModalUrl(driver.teamId)}" class="modal-link-button" style="background-color: ${driver.teamColor}">
+                ${t('drivers.modal.viewTeam')}
+            </a>
+            ${renderShareCardButton(driver.teamColor)}
         </div>
         </div>
     `;
@@ -394,7 +588,7 @@ function renderDriverDetailsModal(driver) {
 function renderErrorMessage(message) {
     const driversGrid = document.getElementById('drivers-grid');
     if (driversGrid) {
-        driversGrid.innerHTML = `<div class="teams-loading" style="color: #FF1801; grid-column: 1 / -1;">${message}</div>`;
+        render(driversGrid, html`<div class="teams-loading" style="color: #FF1801; grid-column: 1 / -1;">${message}</div>`);
     }
 }
 
@@ -0,0 +1,102 @@
+/**
+ * EXPORT.JS
+ * CSV / JSON downloads of the current (filtered and sorted) view and the
+ * print title used by the print stylesheet
+ */
+
+/**
+ * Bind the export buttons of a page
+ * @param {function} getExport - Returns { filename, columns: [{ key, label, value(row) }], rows } for the current view
+ */
+function initExportButtons(getExport) {
+    document.querySelectorAll('[data-export-format]').forEach(button => {
+        button.addEventListener('click', () => {
+            const view = getExport();
+            if (!view || !view.rows) return;
+
+            exportRows(button.getAttribute('data-export-format'), view);
+        });
+    });
+}
+
+/**
+ * Set the heading printed above the page (read by the print stylesheet)
+ * @param {function} getTitle - Returns the title for the current view
+ */
+function initPrintView(getTitle) {
+    const setTitle = () => {
+        document.body.setAttribute('data-print-title', `${getTitle()} · ${formatDate(new Date())}`);
+    };
+
+    window.addEventListener('beforeprint', setTitle);
+    document.querySelectorAll('[data-print]').forEach(button => {
+        button.addEventListener('click', () => {
+            setTitle();
+            window.print();
+        });
+    });
+}
+
+/**
+ * Download rows as CSV or JSON
+ * @param {string} format - 'csv' or 'json'
+ * @param {object} view - { filename, columns, rows }
+ */
+function exportRows(format, { filename, columns, rows }) {
+    if (format === 'json') {
+        const data = rows.map(row => Object.fromEntries(columns.map(column => [column.key, column.value(row)])));
+        downloadFile(`${filename}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } else {
+        // The byte order mark lets spreadsheet apps read accented names as UTF-8
+        downloadFile(`${filename}.csv`, `\uFEFF${toCSV(columns, rows)}`, 'text/csv;charset=utf-8');
+    }
+
+    console.log(`Exported ${rows.length} rows to ${filename}.${format}`);
+}
+
+/**
+ * Build a CSV document
+ * @param {array} columns - Columns { key, label, value(row) }
+ * @param {array} rows - Row objects
+ * @returns {string} - CSV text with a header line
+ */
+function toCSV(columns, rows) {
+    const lines = [
+        columns.map(column => escapeCSVValue(column.label)),
+        ...rows.map(row => columns.map(column => escapeCSVValue(column.value(row))))
+    ];
+    return lines.map(line => line.join(',')).join('\r\n');
+}
+
+/**
+ * Quote a CSV value when needed
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCSVValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    // Stop spreadsheets from running text that looks like a formula
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Save text or a blob as a file
+ * @param {string} filename - Download file name
+ * @param {string|Blob} content - File content
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,127 @@
+/**
+ * FAVOURITES.JS
+ * Favourite teams and drivers, saved in localStorage, with the star
+ * toggles shown on cards and standings rows and the "My Paddock" summary
+ */
+
+const FAVOURITES_KEY = 'f1_favourites';
+
+/**
+ * Read the saved favourites
+ * @returns {object} - { team: [ids], driver: [ids] }
+ */
+function getFavourites() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FAVOURITES_KEY)) || {};
+        return {
+            team: Array.isArray(saved.team) ? saved.team : [],
+            driver: Array.isArray(saved.driver) ? saved.driver : []
+        };
+    } catch (error) {
+        console.warn('Ignoring saved favourites:', error);
+        return { team: [], driver: [] };
+    }
+}
+
+/**
+ * Check whether a team or driver is a favourite
+ * @param {string} type - 'team' or 'driver'
+ * @param {string} id - Team or driver ID
+ * @returns {boolean} - True when starred
+ */
+function isFavourite(type, id) {
+    return getFavourites()[type].includes(id);
+}
+
+/**
+ * Star or unstar a team or driver
+ * @param {string} type - 'team' or 'driver'
+ * @param {string} id - Team or driver ID
+ * @returns {boolean} - True when it is now a favourite
+ */
+function toggleFavourite(type, id) {
+    const favourites = getFavourites();
+    const isNowFavourite = !favourites[type].includes(id);
+
+    favourites[type] = isNowFavourite
+        ? [...favourites[type], id]
+        : favourites[type].filter(favouriteId => favouriteId !== id);
+    localStorage.setItem(FAVOURITES_KEY, JSON.stringify(favourites));
+
+    console.log(`${isNowFavourite ? 'Starred' : 'Unstarred'} ${type}:`, id);
+    return isNowFavourite;
+}
+
+/**
+ * Bind every star toggle on the page (delegated, survives re-renders)
+ * @param {function} onChange - Called after a favourite changes, here or in another tab
+ */
+function initFavourites(onChange) {
+    document.addEventListener('click', (e) => {
+        const toggle = e.target.closest('.favourite-toggle');
+        if (!toggle) return;
+
+        // Don't let the card or row behind the star react to the click
+        e.preventDefault();
+        e.stopPropagation();
+
+        toggleFavourite(toggle.getAttribute('data-favourite-type'), toggle.getAttribute('data-favourite-id'));
+        if (onChange) onChange();
+    });
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === FAVOURITES_KEY && onChange) {
+            onChange();
+        }
+    });
+}
+
+/**
+ * Render the star toggle of a team or driver
+ * @param {string} type - 'team' or 'driver'
+ * @param {string} id - Team or driver ID
+ * @param {string} name - Name used in the button label
+ * @returns {object} - Safe markup for the toggle button
+ */
+function renderFavouriteToggle(type, id, name) {
+    const isActive = isFavourite(type, id);
+
+    return html`
+        <button type="button" class="favourite-toggle ${isActive ? 'is-active' : ''}"
+            data-favourite-type="${type}" data-favourite-id="${id}" aria-pressed="${isActive}"
+            aria-label="${t(isActive ? 'favourites.removeNamed' : 'favourites.addNamed', { name })}"
+            title="${t(isActive ? 'favourites.remove' : 'favourites.add')}">${isActive ? '★' : '☆'}</button>
+    `;
+}
+
+/**
+ * Work out the championship position of every favourite and the gap to the one ahead
+ * @param {array} teams - Array of team objects
+ * @returns {array} - Entries { type, id, name, subtitle, color, position, points, gap, aheadName }
+ */
+function computePaddockEntries(teams) {
+    const favourites = getFavourites();
+
+    const toEntries = (type, standings, getSubtitle) => standings
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => favourites[type].includes(item.id))
+        .map(({ item, index }) => {
+            const ahead = index > 0 ? standings[index - 1] : null;
+            return {
+                type,
+                id: item.id,
+                name: item.name,
+                subtitle: getSubtitle(item),
+                color: item.teamColor,
+                position: index + 1,
+                points: item.points || 0,
+                gap: ahead ? (ahead.points || 0) - (item.points || 0) : null,
+                aheadName: ahead ? ahead.name : null
+            };
+        });
+
+    return [
+        ...toEntries('team', extractAndSortConstructors(teams), team => team.driverNames.join(' / ')),
+        ...toEntries('driver', extractAndSortDrivers(teams), driver => driver.teamName)
+    ];
+}
@@ -0,0 +1,363 @@
+/**
+ * GLOBAL-SEARCH.JS
+ * Navbar search shared by every page: fuzzy-matches teams, drivers,
+ * nationalities, power units and team principals, lists the results
+ * grouped by type and opens the matching team or driver modal.
+ * It has its own input (#global-search); #search-box only filters the page.
+ */
+
+const GLOBAL_SEARCH_GROUPS = [
+    { type: 'team', labelKey: 'search.groups.team' },
+    { type: 'driver', labelKey: 'search.groups.driver' }
+];
+
+const GLOBAL_SEARCH_LIMIT = 5;
+
+let globalSearchIndex = [];
+let globalSearchSeason = null;
+let globalSearchResults = [];
+let globalSearchActive = -1;
+
+/**
+ * Attach the global search to its navbar input
+ */
+function initGlobalSearch() {
+    const input = document.getElementById('global-search');
+    const container = input ? input.closest('.search-container') : null;
+    if (!input || !container) return;
+
+    const listbox = document.createElement('div');
+    listbox.className = 'global-search-results';
+    listbox.id = 'global-search-results';
+    listbox.setAttribute('role', 'listbox');
+    listbox.setAttribute('aria-label', t('search.results'));
+    listbox.hidden = true;
+    container.appendChild(listbox);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', listbox.id);
+    input.setAttribute('aria-expanded', 'false');
+
+    input.addEventListener('input', debounce(() => updateGlobalSearch(input), 150));
+    input.addEventListener('focus', () => updateGlobalSearch(input));
+    input.addEventListener('keydown', (e) => handleGlobalSearchKeydown(e, input));
+
+    // Mousedown so the choice is made before the input loses focus
+    listbox.addEventListener('mousedown', (e) => {
+        const option = e.target.closest('.global-search-option');
+        if (!option) return;
+        e.preventDefault();
+        openGlobalSearchResult(globalSearchResults[parseInt(option.getAttribute('data-index'), 10)], input);
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!container.contains(e.target)) {
+            closeGlobalSearch(input);
+        }
+    });
+}
+
+/**
+ * Load the search index for the selected season (once per season)
+ * @returns {Promise<array>} - Search entries
+ */
+async function loadGlobalSearchIndex() {
+    const season = getSelectedSeason();
+    if (globalSearchSeason === season) return globalSearchIndex;
+
+    const teams = await fetchTeamsData(season);
+    globalSearchSeason = season;
+    globalSearchIndex = buildGlobalSearchIndex(teams || []);
+    return globalSearchIndex;
+}
+
+/**
+ * Build the searchable entries from the teams data
+ * @param {array} teams - Array of team objects
+ * @returns {array} - Entries { type, id, label, detail, fields: [{ label, text }] }
+ */
+function buildGlobalSearchIndex(teams) {
+    const entries = [];
+
+    teams.forEach(team => {
+        entries.push({
+            type: 'team',
+            id: team.id,
+            label: team.name,
+            detail: getCountryName(team.country),
+            color: team.accent_color,
+            fields: [
+                { label: null, text: team.name },
+                { label: t('search.fields.principal'), text: team.principal },
+                { label: t('search.fields.powerUnit'), text: team.powerUnit }
+            ]
+        });
+
+        (team.drivers || []).forEach(driver => {
+            entries.push({
+                type: 'driver',
+                id: driver.id,
+                label: driver.name,
+                detail: team.name,
+                color: team.accent_color,
+                fields: [
+                    { label: null, text: driver.name },
+                    { label: null, text: driver.number ? `#${driver.number}` : '' },
+                    { label: t('search.fields.nationality'), text: getNationalityName(driver.nationality) }
+                ]
+            });
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Lower-case a string and strip accents and punctuation ("Hülkenberg" -> "hulkenberg")
+ * @param {string} text - Text to normalise
+ * @returns {string} - Normalised text
+ */
+function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Score how well a query matches a text; every query word has to match
+ * the start of a word in the text, allowing a typo or two in longer words
+ * @param {string} query - Normalised query
+ * @param {string} text - Normalised text
+ * @returns {number} - 0 for no match, up to 100 for an exact match
+ */
+function scoreFuzzyMatch(query, text) {
+    if (!query || !text) return 0;
+    if (text === query) return 100;
+    if (text.startsWith(query)) return 90;
+    if (text.includes(` ${query}`)) return 80;
+    if (text.includes(query)) return 70;
+
+    const words = text.split(' ');
+    const tokenScores = query.split(' ').map(token => {
+        const allowed = token.length <= 3 ? 0 : (token.length <= 6 ? 1 : 2);
+        let best = Infinity;
+
+        words.forEach(word => {
+            const distance = Math.min(
+                getEditDistance(token, word.slice(0, token.length)),
+                getEditDistance(token, word)
+            );
+            best = Math.min(best, distance);
+        });
+
+        return best <= allowed ? 1 - best / (token.length + 1) : 0;
+    });
+
+    if (tokenScores.some(score => score === 0)) return 0;
+    return Math.round(60 * tokenScores.reduce((sum, score) => sum + score, 0) / tokenScores.length);
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * swapped neighbouring letters ("hamliton" -> "hamilton" is 1)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of edits
+ */
+function getEditDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * Search the index
+ * @param {string} query - Raw query
+ * @param {array} index - Search entries
+ * @returns {array} - Matches { entry, score, field }, best first, at most GLOBAL_SEARCH_LIMIT per type
+ */
+function searchGlobalIndex(query, index) {
+    const normalizedQuery = normalizeSearchText(query);
+    if (!normalizedQuery) return [];
+
+    const matches = index
+        .map(entry => {
+            let best = { entry, score: 0, field: null };
+            entry.fields.forEach(field => {
+                // A name match ranks above the same match on a principal, power unit or nationality
+                const score = scoreFuzzyMatch(normalizedQuery, normalizeSearchText(field.text)) * (field.label ? 0.9 : 1);
+                if (score > best.score) {
+                    best = { entry, score, field };
+                }
+            });
+            return best;
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label));
+
+    return GLOBAL_SEARCH_GROUPS.flatMap(group => matches
+        .filter(match => match.entry.type === group.type)
+        .slice(0, GLOBAL_SEARCH_LIMIT));
+}
+
+/**
+ * Run the search for the current input and show the dropdown
+ * @param {HTMLInputElement} input - Global search input
+ */
+async function updateGlobalSearch(input) {
+    const query = input.value.trim();
+    if (!query) {
+        closeGlobalSearch(input);
+        return;
+    }
+
+    try {
+        const index = await loadGlobalSearchIndex();
+        // Ignore a result for text that has changed since
+        if (input.value.trim() !== query) return;
+
+        globalSearchResults = searchGlobalIndex(query, index);
+        globalSearchActive = -1;
+        renderGlobalSearchResults(input);
+    } catch (error) {
+        console.error('Global search failed:', error);
+    }
+}
+
+/**
+ * Render the dropdown grouped by result type
+ * @param {HTMLInputElement} input - Global search input
+ */
+function renderGlobalSearchResults(input) {
+    const listbox = document.getElementById('global-search-results');
+    if (!listbox) return;
+
+    if (globalSearchResults.length === 0) {
+        render(listbox, html`<div class="global-search-empty">${t('search.noMatches')}</div>`);
+    } else {
+        render(listbox, GLOBAL_SEARCH_GROUPS.map(group => {
+            const options = globalSearchResults
+                .map((match, index) => ({ match, index }))
+                .filter(({ match }) => match.entry.type === group.type);
+            if (options.length === 0) return '';
+
+            const label = t(group.labelKey);
+            return html`
+                <div class="global-search-group" role="group" aria-label="${label}">
+                    <div class="global-search-group-label" aria-hidden="true">${label}</div>
+                    ${options.map(({ match, index }) => html`
+                        <div class="global-search-option" id="global-search-option-${index}" role="option"
+                            data-index="${index}" aria-selected="false" style="--team-color: ${match.entry.color}">
+                            <span class="global-search-option-label">${match.entry.label}</span>
+                            <span class="global-search-option-detail">${match.field && match.field.label ? `${match.field.label}: ${match.field.text}` : match.entry.detail}</span>
+                        </div>
+                    `)}
+                </div>
+            `;
+        }));
+    }
+
+    listbox.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Keyboard handling: arrows move through the results, Enter opens, Escape closes
+ * @param {KeyboardEvent} e - Keydown event
+ * @param {HTMLInputElement} input - Global search input
+ */
+function handleGlobalSearchKeydown(e, input) {
+    const listbox = document.getElementById('global-search-results');
+    const isOpen = listbox && !listbox.hidden;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!isOpen || globalSearchResults.length === 0) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setGlobalSearchActive((globalSearchActive + step + globalSearchResults.length) % globalSearchResults.length, input);
+    } else if (e.key === 'Enter') {
+        if (!isOpen || globalSearchResults.length === 0) return;
+        e.preventDefault();
+        openGlobalSearchResult(globalSearchResults[Math.max(globalSearchActive, 0)], input);
+    } else if (e.key === 'Escape' && isOpen) {
+        // Keep the page's own Escape handling (closing a modal) out of it
+        e.stopPropagation();
+        closeGlobalSearch(input);
+    }
+}
+
+/**
+ * Mark a result as the active option
+ * @param {number} index - Result index
+ * @param {HTMLInputElement} input - Global search input
+ */
+function setGlobalSearchActive(index, input) {
+    globalSearchActive = index;
+
+    document.querySelectorAll('.global-search-option').forEach(option => {
+        const isActive = parseInt(option.getAttribute('data-index'), 10) === index;
+        option.classList.toggle('is-active', isActive);
+        option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        if (isActive) {
+            input.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
+
+/**
+ * Hide the dropdown
+ * @param {HTMLInputElement} input - Global search input
+ */
+function closeGlobalSearch(input) {
+    const listbox = document.getElementById('global-search-results');
+    if (listbox) listbox.hidden = true;
+
+    globalSearchActive = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Open the modal of a result, going to the page that has it when needed
+ * @param {object} match - Search match
+ * @param {HTMLInputElement} input - Global search input
+ */
+function openGlobalSearchResult(match, input) {
+    if (!match) return;
+    closeGlobalSearch(input);
+
+    const { type, id } = match.entry;
+    if (type === 'team' && typeof openTeamModal === 'function') {
+        openTeamModal(id);
+        return;
+    }
+    if (type === 'driver' && typeof openDriverModal === 'function') {
+        openDriverModal(id);
+        return;
+    }
+
+    const url = new URL(type === 'team' ? 'index.html' : 'drivers.html', window.location.href);
+    const season = getQueryParam('season');
+    if (season) url.searchParams.set('season', season);
+    url.searchParams.set(type, id);
+    window.location.href = url.href;
+}
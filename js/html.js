@@ -0,0 +1,186 @@
+/**
+ * HTML.JS
+ * Tagged-template renderer used for every piece of markup on the site:
+ *   render(element, html`<h3 class="team-name">${team.name}</h3>`)
+ * Interpolated values are escaped unless they are html`` templates
+ * themselves (arrays of templates are joined). URLs in href / src
+ * attributes are checked, values inside style="" have to be colours or
+ * plain lengths, and inline event handlers are refused: pages bind
+ * delegated listeners instead. Inside an attribute value booleans are
+ * written out (aria-pressed="false"); elsewhere false renders nothing,
+ * so ${isOpen && html`...`} works.
+ */
+
+const SAFE_HTML = Symbol('safeHTML');
+
+// Attribute context of an interpolation, from the markup just before it
+const URL_ATTRIBUTE_PATTERN = /\s(?:href|src|action|formaction)\s*=\s*"$/i;
+const STYLE_ATTRIBUTE_PATTERN = /\sstyle\s*=\s*"[^"]*$/i;
+const EVENT_ATTRIBUTE_PATTERN = /\son[a-z]+\s*=\s*"[^"]*$/i;
+const QUOTED_ATTRIBUTE_PATTERN = /\s[^\s"'<>/=]+\s*=\s*"[^"]*$/;
+
+// Relative URLs, or one of these schemes
+const SAFE_URL_PATTERN = /^(?:(?:https?|mailto):|data:image\/(?:png|jpeg|gif|webp|svg\+xml)[;,]|[^:]*(?:[/?#]|$))/i;
+// Hex colours, numbers with an optional unit, and single keywords such as "center" or "none"
+const SAFE_STYLE_VALUE_PATTERN = /^(?:#[0-9a-f]{3,8}|-?\d*\.?\d+(?:px|%|em|rem|vh|vw|deg)?|[a-z-]+)$/i;
+
+/**
+ * Build markup from a template; every interpolated value is made safe for where it appears
+ * @param {array} strings - Static parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {object} - Safe markup, accepted by render() and by other html`` templates
+ */
+function html(strings, ...values) {
+    const markup = strings.reduce((result, string, index) => {
+        if (index === 0) return string;
+        return result + interpolateHTML(result, values[index - 1]) + string;
+    }, '');
+    return trustedHTML(markup);
+}
+
+/**
+ * Make one interpolated value safe for its position in the markup
+ * @param {string} before - Markup before the value
+ * @param {*} value - Interpolated value
+ * @returns {string} - Markup to insert
+ */
+function interpolateHTML(before, value) {
+    if (EVENT_ATTRIBUTE_PATTERN.test(before)) {
+        throw new Error('Values cannot be interpolated into inline event handlers; bind a listener instead');
+    }
+    if (URL_ATTRIBUTE_PATTERN.test(before)) {
+        return escapeHTML(sanitizeUrl(value));
+    }
+    if (STYLE_ATTRIBUTE_PATTERN.test(before)) {
+        return escapeHTML(sanitizeStyleValue(value));
+    }
+    if (typeof value === 'boolean' && QUOTED_ATTRIBUTE_PATTERN.test(before)) {
+        return String(value);
+    }
+    return toMarkup(value);
+}
+
+/**
+ * Convert a value to markup: templates pass through, arrays are joined, anything else is escaped
+ * @param {*} value - Template, array, text, number or nothing
+ * @returns {string} - Markup
+ */
+function toMarkup(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value[SAFE_HTML]) return value.markup;
+    return escapeHTML(value);
+}
+
+/**
+ * Mark markup as safe without escaping it. Only for markup the site ships
+ * itself, such as locale pack messages that contain elements.
+ * @param {string} markup - Trusted markup
+ * @returns {object} - Safe markup
+ */
+function trustedHTML(markup) {
+    return Object.freeze({
+        [SAFE_HTML]: true,
+        markup: String(markup),
+        toString() {
+            return this.markup;
+        }
+    });
+}
+
+/**
+ * Escape text for use in markup and quoted attributes
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a URL before it goes into href or src
+ * @param {*} url - URL from any data source
+ * @returns {string} - The URL, or '#' for javascript:, vbscript: and other unsafe schemes
+ */
+function sanitizeUrl(url) {
+    // Browsers ignore control characters and spaces in schemes ("java\tscript:")
+    const text = String(url === null || url === undefined ? '' : url).replace(/[\u0000- ]/g, '');
+    if (SAFE_URL_PATTERN.test(text)) return String(url).trim();
+
+    console.warn('Blocked unsafe URL:', url);
+    return '#';
+}
+
+/**
+ * Check a value before it goes into a style attribute
+ * @param {*} value - Colour, number or length
+ * @returns {string} - The value, or '' when it could close the declaration or load a resource
+ */
+function sanitizeStyleValue(value) {
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (text === '' || SAFE_STYLE_VALUE_PATTERN.test(text)) return text;
+
+    console.warn('Blocked unsafe style value:', value);
+    return '';
+}
+
+/**
+ * Replace the content of an element
+ * @param {Element} element - Target element
+ * @param {object|array|string} template - Markup from html`` or an array of it; plain strings are shown as text
+ */
+function render(element, template) {
+    if (element) {
+        element.innerHTML = toMarkup(template);
+    }
+}
+
+/**
+ * Build an image data URL from SVG markup (used for placeholder images)
+ * @param {string} svg - SVG markup; escape any text put into it
+ * @returns {string} - data:image/svg+xml URL
+ */
+function svgDataUrl(svg) {
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Swap images that fail to load for their data-fallback image, or hide them
+ * with data-fallback="hide". Replaces the inline onerror handlers.
+ */
+function initImageFallbacks() {
+    if (document.documentElement.dataset.imageFallbacksBound) return;
+    document.documentElement.dataset.imageFallbacksBound = 'true';
+
+    // error does not bubble, so listen in the capture phase
+    document.addEventListener('error', (e) => {
+        const image = e.target;
+        if (!(image instanceof HTMLImageElement) || !image.hasAttribute('data-fallback')) return;
+
+        const fallback = image.getAttribute('data-fallback');
+        // Only try once so a broken fallback can't loop
+        image.removeAttribute('data-fallback');
+        if (fallback === 'hide') {
+            image.style.display = 'none';
+        } else {
+            image.src = sanitizeUrl(fallback);
+        }
+    }, true);
+}
+
+// Expose the renderer to Node scripts; in the browser the functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        html,
+        trustedHTML,
+        escapeHTML,
+        sanitizeUrl,
+        sanitizeStyleValue,
+        svgDataUrl
+    };
+}
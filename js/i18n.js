@@ -0,0 +1,167 @@
+/**
+ * I18N.JS
+ * Translation layer shared by every page: loads the locale pack of the
+ * saved language from locales/<code>.json, translates the static markup
+ * and fills the navbar language picker
+ */
+
+const LOCALES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Español' },
+    { code: 'it', name: 'Italiano' },
+    { code: 'nl', name: 'Nederlands' }
+];
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_KEY = 'f1_locale';
+
+let currentLocale = getSavedLocale();
+let localeMessages = {};
+let fallbackMessages = {};
+
+// Set straight away so numbers and dates are formatted for the locale before the pack has loaded
+document.documentElement.lang = currentLocale;
+
+/**
+ * Work out the language to use: the saved choice, else the browser's, else English
+ * @returns {string} - Locale code
+ */
+function getSavedLocale() {
+    const isSupported = code => LOCALES.some(locale => locale.code === code);
+
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (isSupported(saved)) return saved;
+
+    const browserLocale = (navigator.languages || [navigator.language])
+        .map(language => String(language || '').split('-')[0].toLowerCase())
+        .find(isSupported);
+    return browserLocale || DEFAULT_LOCALE;
+}
+
+/**
+ * Get the active locale
+ * @returns {string} - Locale code, e.g. 'es'
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Load the locale pack, translate the page and bind the language picker.
+ * Pages await this before rendering anything.
+ */
+async function initI18n() {
+    try {
+        // English is always loaded so a key missing from a pack still shows readable text
+        const [messages, fallback] = await Promise.all([
+            fetchLocalePack(currentLocale),
+            currentLocale === DEFAULT_LOCALE ? null : fetchLocalePack(DEFAULT_LOCALE)
+        ]);
+        localeMessages = messages;
+        fallbackMessages = fallback || messages;
+    } catch (error) {
+        console.warn(`Locale pack "${currentLocale}" unavailable:`, error);
+    }
+
+    translatePage();
+    initLanguagePicker();
+}
+
+/**
+ * Fetch a locale pack
+ * @param {string} code - Locale code
+ * @returns {Promise<object>} - Nested messages
+ */
+async function fetchLocalePack(code) {
+    const response = await fetch(`locales/${code}.json`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Dotted key, e.g. 'standings.columns.points'
+ * @param {object} params - Values for the {placeholders}; a numeric `count` picks the plural form
+ * @returns {string} - Translated text (the key itself when no pack has it)
+ */
+function t(key, params = {}) {
+    let message = lookupMessage(localeMessages, key);
+    if (message === undefined) message = lookupMessage(fallbackMessages, key);
+    if (message === undefined) return key;
+
+    // Plural messages are objects keyed by the CLDR category ({ one, other })
+    if (typeof message === 'object') {
+        const category = typeof params.count === 'number'
+            ? new Intl.PluralRules(currentLocale).select(params.count)
+            : 'other';
+        message = message[category] !== undefined ? message[category] : message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] !== undefined ? params[name] : placeholder
+    ));
+}
+
+/**
+ * Find a dotted key in a pack
+ * @param {object} messages - Nested messages
+ * @param {string} key - Dotted key
+ * @returns {string|object|undefined} - Message, plural forms, or undefined
+ */
+function lookupMessage(messages, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+/**
+ * Translate the static markup:
+ * data-i18n sets the text, data-i18n-html the markup (for messages with
+ * elements such as the hero's season label), and data-i18n-placeholder,
+ * data-i18n-aria-label and data-i18n-title the matching attributes
+ * @param {Element|Document} root - Subtree to translate
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        // Locale packs ship with the site, so their markup is trusted
+        render(element, trustedHTML(t(element.getAttribute('data-i18n-html'))));
+    });
+
+    ['placeholder', 'aria-label', 'title'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+/**
+ * Fill the navbar language picker and switch language on change
+ */
+function initLanguagePicker() {
+    const languageSelect = document.getElementById('language-select');
+    if (!languageSelect || languageSelect.dataset.bound) return;
+    languageSelect.dataset.bound = 'true';
+
+    render(languageSelect, LOCALES.map(locale => html`
+        <option value="${locale.code}" lang="${locale.code}" ${locale.code === currentLocale ? 'selected' : ''}>${locale.name}</option>
+    `));
+
+    languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+}
+
+/**
+ * Save a language and reload the page in it
+ * @param {string} code - Locale code
+ */
+function setLocale(code) {
+    if (!LOCALES.some(locale => locale.code === code) || code === currentLocale) return;
+
+    localStorage.setItem(LOCALE_KEY, code);
+    console.log('Language changed to:', code);
+
+    // Every page renders from scratch in the saved locale
+    window.location.reload();
+}
@@ -10,20 +10,44 @@ let currentModalTeam = null;
 /**
  * Initialize the app on page load
  */
-function initApp() {
+async function initApp() {
     console.log('Initializing F1 Team Portal...');
 
     // Initialize theme (check for saved preference)
     initTheme();
 
+    // Load the saved language before anything is rendered
+    await initI18n();
+
     // Bind event listeners
     bindEventListeners();
 
+    // Placeholders for logos and photos that fail to load
+    initImageFallbacks();
+
+    // Populate season picker from the URL
+    initSeasonPicker(handleSeasonChange);
+
     // Load teams data and render
     loadAndRenderTeams();
 
     // Initialize navbar scroll effect
     initNavbarScroll();
+
+    // Register the service worker and offline indicator
+    initOfflineSupport();
+
+    // Navbar search across teams and drivers
+    initGlobalSearch();
+
+    // Star toggles and the "My Paddock" section
+    initFavourites(refreshTeamsView);
+
+    // CSV / JSON downloads of the filtered grid
+    initExportButtons(getTeamsExport);
+
+    // PNG stat card of the team in the modal
+    initShareCards(() => currentModalTeam && getTeamShareCard(currentModalTeam, allTeamsData, getSelectedSeason()));
 }
 
 /**
@@ -108,6 +132,25 @@ function bindEventListeners() {
         }
     });
 
+    // Back / Forward open and close the team modal
+    window.addEventListener('popstate', handleModalHistory);
+
+    // "View details" buttons of the team cards (delegated, survives re-renders)
+    const teamsGrid = document.getElementById('teams-grid');
+    if (teamsGrid) {
+        teamsGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('.view-details-button');
+            if (button) {
+                openTeamModal(button.closest('.team-card').getAttribute('data-team-id'));
+            }
+        });
+    }
+
+    // Arrow keys move through the team cards, Enter opens one
+    initGridNavigation(teamsGrid, '.team-card', card => {
+        openTeamModal(card.getAttribute('data-team-id'));
+    });
+
     // Navigation links smooth scroll
     document.querySelectorAll('.nav-link').forEach(link => {
         link.addEventListener('click', (e) => {
@@ -142,22 +185,96 @@ function initNavbarScroll() {
  */
 async function loadAndRenderTeams() {
     try {
-        console.log('Loading teams data...');
-        allTeamsData = await fetchTeamsData();
+        const season = getSelectedSeason();
+        console.log(`Loading teams data for ${season}...`);
+        const teams = await fetchTeamsData(season, freshTeams => {
+            if (season !== getSelectedSeason()) return;
+            console.log(`Refreshed ${season} teams data`);
+            allTeamsData = freshTeams;
+            refreshTeamsView();
+            refreshOpenTeamModal();
+        });
+
+        // A different season may have been picked while this one was loading
+        if (season !== getSelectedSeason()) return;
+        allTeamsData = teams;
 
         if (allTeamsData && allTeamsData.length > 0) {
             console.log(`Loaded ${allTeamsData.length} teams`);
-            renderTeamsToDOM(allTeamsData);
+            refreshTeamsView();
+            openLinkedTeamModal();
         } else {
             console.warn('No teams data available');
-            renderErrorMessage('Failed to load teams. Please refresh the page.');
+            renderErrorMessage(t('teams.loadFailed'));
         }
     } catch (error) {
         console.error('Error loading teams:', error);
-        renderErrorMessage('Error loading teams data. Please try again later.');
+        renderErrorMessage(t('teams.loadError'));
     }
 }
 
+/**
+ * Reload teams when a different season is picked
+ */
+function handleSeasonChange() {
+    const searchBox = document.getElementById('search-box');
+    if (searchBox) searchBox.value = '';
+
+    const teamsGrid = document.getElementById('teams-grid');
+    render(teamsGrid, html`<div class="teams-loading">${t('teams.loading')}</div>`);
+
+    // A ?team= link reopens the modal once the season's teams are loaded
+    hideTeamModal();
+    loadAndRenderTeams();
+}
+
+/**
+ * Re-render the teams grid with the current search applied
+ */
+function refreshTeamsView() {
+    renderTeamsToDOM(getVisibleTeams());
+    renderPaddockToDOM();
+}
+
+/**
+ * Get the teams matching the search box
+ * @returns {array} - Array of team objects
+ */
+function getVisibleTeams() {
+    const searchBox = document.getElementById('search-box');
+    const query = searchBox ? searchBox.value.trim() : '';
+    return query ? filterTeams(query, allTeamsData) : allTeamsData;
+}
+
+/**
+ * Describe the teams shown in the grid for an export
+ * @returns {object} - { filename, columns, rows }
+ */
+function getTeamsExport() {
+    return {
+        filename: `f1-teams-${getSelectedSeason()}`,
+        columns: [
+            { key: 'name', label: t('export.columns.team'), value: team => team.name },
+            { key: 'country', label: t('export.columns.country'), value: team => getCountryName(team.country) },
+            { key: 'principal', label: t('export.columns.principal'), value: team => team.principal },
+            { key: 'powerUnit', label: t('export.columns.powerUnit'), value: team => team.powerUnit },
+            { key: 'drivers', label: t('export.columns.drivers'), value: team => (team.drivers || []).map(driver => driver.name).join(' / ') },
+            { key: 'points', label: t('export.columns.seasonPoints'), value: team => (team.seasonTotals ? team.seasonTotals.points : '') }
+        ],
+        rows: getVisibleTeams() || []
+    };
+}
+
+/**
+ * Render the "My Paddock" section for the favourite teams and drivers
+ */
+function renderPaddockToDOM() {
+    const paddockGrid = document.getElementById('paddock-grid');
+    if (!paddockGrid) return;
+
+    render(paddockGrid, renderMyPaddock(computePaddockEntries(allTeamsData || [])));
+}
+
 /**
  * Render teams to DOM
  * @param {array} teams - Array of team objects to render
@@ -166,20 +283,7 @@ function renderTeamsToDOM(teams) {
     const teamsGrid = document.getElementById('teams-grid');
     if (!teamsGrid) return;
 
-    const html = renderTeamsGrid(teams);
-    teamsGrid.innerHTML = html;
-
-    // Add event listeners to newly created team cards
-    document.querySelectorAll('.team-card').forEach(card => {
-        const teamId = card.getAttribute('data-team-id');
-        const viewDetailsBtn = card.querySelector('.view-details-button');
-        if (viewDetailsBtn) {
-            viewDetailsBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                openTeamModal(teamId);
-            });
-        }
-    });
+    render(teamsGrid, renderTeamsGrid(teams));
 }
 
 /**
@@ -193,10 +297,12 @@ function handleSearch(event) {
     if (query === '') {
         // Show all teams
         renderTeamsToDOM(allTeamsData);
+        announce(t('teams.resultCount', { count: allTeamsData.length, value: formatNumber(allTeamsData.length) }));
     } else {
         // Filter teams
         const filtered = filterTeams(query, allTeamsData);
         renderTeamsToDOM(filtered);
+        announce(t('teams.resultCount', { count: filtered.length, value: formatNumber(filtered.length) }));
     }
 }
 
@@ -217,8 +323,9 @@ function debounce(func, delay) {
 /**
  * Open team details modal
  * @param {string} teamId - The team ID to display
+ * @param {boolean} updateHistory - Add ?team=<id> to the URL as a new history entry
  */
-function openTeamModal(teamId) {
+function openTeamModal(teamId, updateHistory = true) {
     if (!teamId || !allTeamsData) return;
 
     const team = getTeamById(teamId, allTeamsData);
@@ -232,28 +339,110 @@ function openTeamModal(teamId) {
     const modalOverlay = document.getElementById('modal-overlay');
 
     if (modalContent && modalOverlay) {
+        if (updateHistory) {
+            // Switching teams while the modal is open replaces the entry instead of stacking them
+            const url = getUrlWithQueryParam('team', team.id);
+            if (modalOverlay.classList.contains('active')) {
+                history.replaceState(history.state, '', url);
+            } else {
+                history.pushState({ modal: 'team' }, '', url);
+            }
+        }
+
         // Update modal content with team details
-        const html = renderTeamDetails(team);
-        modalContent.innerHTML = html;
+        render(modalContent, renderTeamDetails(team));
 
-        // Show modal with animation
-        modalOverlay.classList.add('active');
+        // Show modal with animation; focus moves into the dialog
+        openDialog(modalOverlay);
 
         // Prevent body scroll
         document.body.style.overflow = 'hidden';
 
         console.log('Opened modal for team:', team.name);
+        loadTeammateBattle(team);
+    }
+}
+
+/**
+ * Re-render an open team modal from the current teams data (after a background refresh)
+ */
+function refreshOpenTeamModal() {
+    if (!currentModalTeam) return;
+
+    if (getTeamById(currentModalTeam.id, allTeamsData)) {
+        openTeamModal(currentModalTeam.id, false);
+    } else {
+        closeTeamModal();
+    }
+}
+
+/**
+ * Open the team modal linked from the URL (index.html?team=<id>)
+ */
+function openLinkedTeamModal() {
+    const teamId = getQueryParam('team');
+    if (teamId) {
+        openTeamModal(teamId, false);
     }
 }
 
+/**
+ * Sync the modal with the URL after Back / Forward
+ */
+function handleModalHistory() {
+    const teamId = getQueryParam('team');
+    if (teamId) {
+        openTeamModal(teamId, false);
+    } else {
+        hideTeamModal();
+    }
+}
+
+/**
+ * Fill the modal's teammate battle once the season results are loaded
+ * @param {object} team - Team shown in the modal
+ */
+function loadTeammateBattle(team) {
+    loadSeasonResults(getSelectedSeason())
+        .catch(error => {
+            console.warn('Season results unavailable for the teammate battle:', error);
+            return null;
+        })
+        .then(seasonResults => {
+            // The modal may show another team by now
+            if (currentModalTeam !== team) return;
+            const battle = computeTeammateBattle(team, seasonResults, allTeamsData);
+            injectHTML('teammate-battle', renderTeammateBattle(battle, team.accent_color));
+        });
+}
+
 /**
  * Close team details modal
  */
 function closeTeamModal() {
+    const modalOverlay = document.getElementById('modal-overlay');
+    if (!modalOverlay || !modalOverlay.classList.contains('active')) return;
+
+    // Step back over the entry added when the modal opened; popstate then hides it
+    if (history.state && history.state.modal === 'team') {
+        history.back();
+        return;
+    }
+
+    // Opened from a link: there is no entry of our own to go back to
+    history.replaceState(null, '', getUrlWithQueryParam('team', null));
+    hideTeamModal();
+}
+
+/**
+ * Hide the team modal without touching the history
+ */
+function hideTeamModal() {
     const modalOverlay = document.getElementById('modal-overlay');
     if (modalOverlay) {
-        modalOverlay.classList.remove('active');
+        closeDialog(modalOverlay);
         document.body.style.overflow = 'auto';
+        currentModalTeam = null;
         console.log('Closed team modal');
     }
 }
@@ -265,7 +454,7 @@ function closeTeamModal() {
 function renderErrorMessage(message) {
     const teamsGrid = document.getElementById('teams-grid');
     if (teamsGrid) {
-        teamsGrid.innerHTML = `<div class="teams-loading" style="color: #FF1801; grid-column: 1 / -1;">${message}</div>`;
+        render(teamsGrid, html`<div class="teams-loading" style="color: #FF1801; grid-column: 1 / -1;">${message}</div>`);
     }
 }
 
@@ -305,7 +494,7 @@ function filterTeams(query, teamsArray) {
     const lowerQuery = query.toLowerCase();
     return teamsArray.filter(team =>
         team.name.toLowerCase().includes(lowerQuery) ||
-        team.country.toLowerCase().includes(lowerQuery)
+        matchesCountry(team.country, lowerQuery)
     );
 }
 
@@ -0,0 +1,39 @@
+/**
+ * OFFLINE.JS
+ * Registers the service worker and keeps the navbar offline indicator up to date
+ */
+
+/**
+ * Register the service worker and watch the connection state
+ */
+function initOfflineSupport() {
+    registerServiceWorker();
+    updateOfflineIndicator();
+
+    window.addEventListener('online', updateOfflineIndicator);
+    window.addEventListener('offline', updateOfflineIndicator);
+}
+
+/**
+ * Register sw.js when the browser supports service workers
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => console.log('Service worker registered for', registration.scope))
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+/**
+ * Show the navbar offline indicator while the browser has no connection
+ */
+function updateOfflineIndicator() {
+    const indicator = document.getElementById('offline-indicator');
+    if (!indicator) return;
+
+    indicator.hidden = navigator.onLine;
+    if (!navigator.onLine) {
+        console.warn('Connection lost: showing cached data');
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * POINTS-CHART.JS
+ * SVG line chart of each driver's cumulative points across the season (standings page)
+ */
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 360;
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 44 };
+
+let chartProgression = null;
+let hiddenChartDrivers = new Set();
+let highlightedChartDrivers = [];
+
+/**
+ * Render the chart for the given drivers and season results
+ * @param {array} drivers - Driver objects with id, name, teamColor
+ * @param {object|null} seasonResults - Season object with rounds
+ */
+function renderPointsChart(drivers, seasonResults) {
+    const chart = document.getElementById('points-chart');
+    if (!chart) return;
+
+    chartProgression = seasonResults ? computePointsProgression(drivers, seasonResults) : null;
+    bindPointsChartEvents();
+
+    if (!chartProgression || chartProgression.rounds.length === 0) {
+        render(chart, html`<div class="teams-loading">${t(seasonResults ? 'common.noRacesYet' : 'common.noResults')}</div>`);
+        injectChartLegend(null);
+        renderChartNote();
+        return;
+    }
+
+    drawPointsChart();
+    renderChartLegend();
+    renderChartNote();
+}
+
+/**
+ * Add up each driver's points round by round
+ * @param {array} drivers - Driver objects with id, name, teamId, teamColor
+ * @param {object} seasonResults - Season object with rounds
+ * @returns {object} - { rounds: [{ round, name }], series: [{ driver, points: [...] , dashed }] }
+ */
+function computePointsProgression(drivers, seasonResults) {
+    const driverIndex = buildAliasIndex(drivers);
+    const rounds = (seasonResults.rounds || [])
+        .filter(round => (round.results && round.results.length > 0) || (round.sprintResults && round.sprintResults.length > 0));
+
+    const seenTeams = new Set();
+    const series = drivers.map(driver => {
+        // Second driver of a team gets a dashed line so teammates can be told apart
+        const dashed = seenTeams.has(driver.teamId);
+        seenTeams.add(driver.teamId);
+        return { driver, points: [], dashed };
+    });
+
+    const totals = new Map(drivers.map(driver => [driver.id, 0]));
+    rounds.forEach(round => {
+        [...(round.sprintResults || []), ...(round.results || [])].forEach(result => {
+            const driverId = resolveAlias(driverIndex, result.driverId) || result.driverId;
+            if (totals.has(driverId)) {
+                totals.set(driverId, totals.get(driverId) + (result.points || 0));
+            }
+        });
+        series.forEach(entry => entry.points.push(totals.get(entry.driver.id)));
+    });
+
+    return {
+        rounds: rounds.map(round => ({ round: round.round, name: round.name })),
+        series
+    };
+}
+
+/**
+ * Draw the SVG lines, axes and hover points
+ */
+function drawPointsChart() {
+    const chart = document.getElementById('points-chart');
+    if (!chart || !chartProgression) return;
+
+    const { rounds, series } = chartProgression;
+    const visibleSeries = series.filter(entry => !hiddenChartDrivers.has(entry.driver.id));
+    const maxPoints = Math.max(10, ...visibleSeries.map(entry => entry.points[entry.points.length - 1] || 0));
+    const yStep = getChartStep(maxPoints);
+    const yMax = Math.ceil(maxPoints / yStep) * yStep;
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const x = index => CHART_PADDING.left + (rounds.length === 1 ? plotWidth / 2 : (index / (rounds.length - 1)) * plotWidth);
+    const y = points => CHART_PADDING.top + plotHeight - (points / yMax) * plotHeight;
+
+    const gridLines = [];
+    for (let value = 0; value <= yMax; value += yStep) {
+        gridLines.push(html`
+            <line class="chart-grid" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text class="chart-axis-label" x="${CHART_PADDING.left - 8}" y="${y(value)}" text-anchor="end" dominant-baseline="middle">${formatNumber(value)}</text>
+        `);
+    }
+
+    const roundLabels = rounds.map((round, index) => html`
+        <text class="chart-axis-label" x="${x(index)}" y="${CHART_HEIGHT - 10}" text-anchor="middle">${t('common.roundShort', { round: round.round })}</text>
+    `);
+
+    const lines = visibleSeries.map(entry => html`
+        <g class="chart-series" data-driver-id="${entry.driver.id}">
+            <polyline
+                class="chart-line"
+                points="${entry.points.map((points, index) => `${x(index)},${y(points)}`).join(' ')}"
+                stroke="${entry.driver.teamColor}"
+                ${entry.dashed ? html`stroke-dasharray="6 4"` : ''}
+            ></polyline>
+            ${entry.points.map((points, index) => html`
+                <circle class="chart-point" cx="${x(index)}" cy="${y(points)}" r="4" fill="${entry.driver.teamColor}"
+                    data-driver-id="${entry.driver.id}" data-round-index="${index}"></circle>
+            `)}
+        </g>
+    `);
+
+    render(chart, html`
+        <svg class="points-chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${t('chart.ariaLabel')}">
+            ${gridLines}
+            ${roundLabels}
+            ${lines}
+        </svg>
+    `);
+
+    applyChartHighlight();
+}
+
+/**
+ * Say so under the chart when the plotted rounds do not add up to the
+ * standings totals (e.g. the live standings are ahead of the per-round results)
+ */
+function renderChartNote() {
+    const note = document.getElementById('points-chart-note');
+    if (!note) return;
+
+    const rounds = chartProgression ? chartProgression.rounds : [];
+    const isPartial = rounds.length > 0 && chartProgression.series
+        .some(entry => entry.points[entry.points.length - 1] !== (entry.driver.points || 0));
+
+    note.textContent = isPartial ? t('chart.partialResults', { round: rounds[rounds.length - 1].round }) : '';
+    note.hidden = !isPartial;
+}
+
+/**
+ * Pick a round gridline step for the y axis
+ * @param {number} maxPoints - Highest value on the chart
+ * @returns {number} - Step between gridlines
+ */
+function getChartStep(maxPoints) {
+    const steps = [5, 10, 25, 50, 100, 200];
+    return steps.find(step => maxPoints / step <= 6) || 250;
+}
+
+/**
+ * Render the legend; each entry shows or hides its driver's line
+ */
+function renderChartLegend() {
+    injectChartLegend(chartProgression.series.map(entry => html`
+        <button class="chart-legend-item ${hiddenChartDrivers.has(entry.driver.id) ? 'is-hidden' : ''}"
+            data-driver-id="${entry.driver.id}" aria-pressed="${!hiddenChartDrivers.has(entry.driver.id)}">
+            <span class="chart-legend-swatch ${entry.dashed ? 'is-dashed' : ''}" style="--swatch-color: ${entry.driver.teamColor}"></span>
+            ${entry.driver.name}
+        </button>
+    `));
+}
+
+/**
+ * Replace the legend markup
+ * @param {array|null} items - Legend items from html``, or null to empty the legend
+ */
+function injectChartLegend(items) {
+    render(document.getElementById('points-chart-legend'), items);
+}
+
+/**
+ * Emphasise the lines of the given drivers and fade the rest
+ * @param {array} driverIds - Driver IDs to highlight (empty to clear)
+ */
+function highlightChartDrivers(driverIds) {
+    highlightedChartDrivers = driverIds;
+    applyChartHighlight();
+}
+
+/**
+ * Apply the current highlight to the drawn lines
+ */
+function applyChartHighlight() {
+    const hasHighlight = highlightedChartDrivers.length > 0;
+
+    document.querySelectorAll('#points-chart .chart-series').forEach(group => {
+        const isMatch = highlightedChartDrivers.includes(group.getAttribute('data-driver-id'));
+        group.classList.toggle('is-highlighted', hasHighlight && isMatch);
+        group.classList.toggle('is-dimmed', hasHighlight && !isMatch);
+    });
+}
+
+/**
+ * Bind the legend toggles and point tooltips once (delegated, survives re-renders)
+ */
+function bindPointsChartEvents() {
+    const chart = document.getElementById('points-chart');
+    const legend = document.getElementById('points-chart-legend');
+    if (!chart || chart.dataset.bound) return;
+    chart.dataset.bound = 'true';
+
+    chart.addEventListener('mouseover', event => {
+        const point = event.target.closest('.chart-point');
+        if (point) {
+            showChartTooltip(point);
+        }
+    });
+    chart.addEventListener('mouseout', event => {
+        if (event.target.closest('.chart-point')) {
+            hideChartTooltip();
+        }
+    });
+
+    if (legend) {
+        legend.addEventListener('click', event => {
+            const item = event.target.closest('.chart-legend-item');
+            if (!item) return;
+
+            const driverId = item.getAttribute('data-driver-id');
+            if (hiddenChartDrivers.has(driverId)) {
+                hiddenChartDrivers.delete(driverId);
+            } else {
+                hiddenChartDrivers.add(driverId);
+            }
+            drawPointsChart();
+            renderChartLegend();
+        });
+    }
+}
+
+/**
+ * Show the tooltip for a hovered point
+ * @param {SVGCircleElement} point - Hovered point
+ */
+function showChartTooltip(point) {
+    const tooltip = document.getElementById('chart-tooltip');
+    const chart = document.getElementById('points-chart');
+    if (!tooltip || !chart || !chartProgression) return;
+
+    const entry = chartProgression.series.find(series => series.driver.id === point.getAttribute('data-driver-id'));
+    const roundIndex = parseInt(point.getAttribute('data-round-index'), 10);
+    const round = chartProgression.rounds[roundIndex];
+    if (!entry || !round) return;
+
+    const gained = entry.points[roundIndex] - (roundIndex > 0 ? entry.points[roundIndex - 1] : 0);
+    render(tooltip, html`
+        <strong style="color: ${entry.driver.teamColor}">${entry.driver.name}</strong>
+        <span>${t('common.roundShort', { round: round.round })} ${round.name}</span>
+        <span>${t('chart.tooltipPoints', { points: formatNumber(entry.points[roundIndex]), gained: formatNumber(gained) })}</span>
+    `);
+
+    const chartBox = chart.getBoundingClientRect();
+    const pointBox = point.getBoundingClientRect();
+    tooltip.style.left = `${pointBox.left - chartBox.left + pointBox.width / 2}px`;
+    tooltip.style.top = `${pointBox.top - chartBox.top}px`;
+    tooltip.hidden = false;
+}
+
+/**
+ * Hide the point tooltip
+ */
+function hideChartTooltip() {
+    const tooltip = document.getElementById('chart-tooltip');
+    if (tooltip) {
+        tooltip.hidden = true;
+    }
+}
@@ -0,0 +1,548 @@
+/**
+ * PROVIDERS.JS
+ * Data-provider adapters. Every adapter exposes the same interface,
+ * so pages never need to know where the data comes from:
+ *   fetchTeams(season)    - array of team objects
+ *   fetchDrivers(season)  - array of driver objects (with teamId when known)
+ *   fetchResults(season)  - season object ({ season, rounds }) shaped like data/seasons/*.json
+ *   fetchSchedule(season) - array of rounds without results
+ * Methods return Promises and reject when the source is unavailable.
+ * Pass `fetchJSON` in the adapter options to run it against recorded responses
+ * (see test/providers.test.js).
+ */
+
+/**
+ * Fetch a JSON document with a timeout; a request still running at the timeout is aborted
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<object>} - Parsed JSON body
+ */
+async function fetchJSONWithTimeout(url, timeout = DATA_PROVIDER_CONFIG.requestTimeout) {
+    const controller = new AbortController();
+    let timer = null;
+
+    try {
+        return await Promise.race([
+            fetch(url, { signal: controller.signal }).then(response => {
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                return response.json();
+            }),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    controller.abort();
+                    reject(new Error('Fetch timeout'));
+                }, timeout);
+            })
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Convert a name to an ID slug (lowercase, accents stripped, dash separated)
+ * @param {string} text - Name to convert
+ * @returns {string} - Slug, e.g. "Nico Hülkenberg" -> "nico-hulkenberg"
+ */
+function toSlug(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build a team object in the portal's format.
+ * Fields the API does not know are left empty so that
+ * mergeTeamsWithCurated() can fill them from data/teams.json.
+ * @param {object} fields - Known fields (id, name, country, accentColor, website, drivers)
+ * @returns {object} - Team object
+ */
+function createTeamRecord(fields) {
+    return {
+        id: fields.id,
+        name: fields.name,
+        logo: null,
+        country: fields.country || '',
+        founded: null,
+        principal: null,
+        powerUnit: null,
+        championships: null,
+        wins: null,
+        podiums: null,
+        accent_color: fields.accentColor || null,
+        drivers: fields.drivers || [],
+        website: fields.website || null,
+        social: {}
+    };
+}
+
+/**
+ * Create an adapter for an Ergast-compatible API
+ * @param {object} options - { baseUrl, pageSize, fetchJSON }
+ * @returns {object} - Data provider adapter
+ */
+function createErgastProvider(options = {}) {
+    const baseUrl = options.baseUrl || DATA_PROVIDER_CONFIG.ergast.baseUrl;
+    const pageSize = options.pageSize || DATA_PROVIDER_CONFIG.ergast.pageSize;
+    const fetchJSON = options.fetchJSON || fetchJSONWithTimeout;
+
+    /**
+     * Fetch an Ergast table, following pagination until `total` is reached
+     * @param {string} path - Path below the base URL, e.g. "2025/results.json"
+     * @param {string} tableName - MRData table, e.g. "RaceTable"
+     * @param {string} listName - List inside the table, e.g. "Races"
+     * @returns {Promise<array>} - All entries across pages
+     */
+    async function fetchAllPages(path, tableName, listName) {
+        const entries = [];
+        let offset = 0;
+        let total = 0;
+
+        do {
+            const data = await fetchJSON(`${baseUrl}/${path}?limit=${pageSize}&offset=${offset}`);
+            if (!data.MRData || !data.MRData[tableName] || !data.MRData[tableName][listName]) {
+                throw new Error('Invalid API response structure');
+            }
+            entries.push(...data.MRData[tableName][listName]);
+            total = parseInt(data.MRData.total, 10) || 0;
+            offset += pageSize;
+        } while (offset < total);
+
+        return entries;
+    }
+
+    /**
+     * Group race entries by round; a race can be split across two pages
+     * @param {array} races - Race entries from fetchAllPages()
+     * @param {string} resultsKey - "Results" or "SprintResults"
+     * @returns {Map} - Round number -> array of result entries
+     */
+    function groupResultsByRound(races, resultsKey) {
+        const byRound = new Map();
+        races.forEach(race => {
+            const round = parseInt(race.round, 10);
+            if (!byRound.has(round)) byRound.set(round, []);
+            byRound.get(round).push(...(race[resultsKey] || []));
+        });
+        return byRound;
+    }
+
+    async function fetchSchedule(season) {
+        const races = await fetchAllPages(`${season}.json`, 'RaceTable', 'Races');
+        return races.map(race => ({
+            round: parseInt(race.round, 10),
+            name: race.raceName,
+            circuit: race.Circuit ? race.Circuit.circuitName : '',
+            date: race.date,
+            sprint: !!race.Sprint
+        }));
+    }
+
+    return {
+        name: 'ergast',
+
+        async fetchTeams(season) {
+            const constructors = await fetchAllPages(`${season}/constructors.json`, 'ConstructorTable', 'Constructors');
+            // constructor.url is a Wikipedia page, not the team website
+            return constructors.map(constructor => createTeamRecord({
+                id: toSlug(constructor.constructorId),
+                name: constructor.name,
+                country: toCountryCode(constructor.nationality) || constructor.nationality
+            }));
+        },
+
+        async fetchDrivers(season) {
+            const standings = await fetchAllPages(`${season}/driverStandings.json`, 'StandingsTable', 'StandingsLists');
+            const entries = standings.flatMap(list => list.DriverStandings || []);
+
+            // A driver's last constructor is the team they drive for now
+            if (entries.length > 0) {
+                return entries
+                    .filter(entry => {
+                        if (entry.Constructors && entry.Constructors.length > 0) return true;
+                        console.warn(`Skipped standings entry without a constructor: ${entry.Driver ? entry.Driver.driverId : 'unknown driver'}`);
+                        return false;
+                    })
+                    .map(entry => ({
+                        ...mapErgastDriver(entry.Driver),
+                        teamId: toSlug(entry.Constructors[entry.Constructors.length - 1].constructorId),
+                        points: parseFloat(entry.points) || 0,
+                        wins: parseInt(entry.wins, 10) || 0
+                    }));
+            }
+
+            // No standings before the first race: ask each constructor for its drivers
+            const constructors = await fetchAllPages(`${season}/constructors.json`, 'ConstructorTable', 'Constructors');
+            const lineups = await Promise.all(constructors.map(async constructor => {
+                const drivers = await fetchAllPages(
+                    `${season}/constructors/${constructor.constructorId}/drivers.json`, 'DriverTable', 'Drivers'
+                );
+                return drivers.map(driver => ({
+                    ...mapErgastDriver(driver),
+                    teamId: toSlug(constructor.constructorId)
+                }));
+            }));
+            return lineups.flat();
+        },
+
+        async fetchResults(season) {
+            const [schedule, races, sprints] = await Promise.all([
+                fetchSchedule(season),
+                fetchAllPages(`${season}/results.json`, 'RaceTable', 'Races'),
+                fetchAllPages(`${season}/sprint.json`, 'RaceTable', 'Races')
+            ]);
+            const raceResults = groupResultsByRound(races, 'Results');
+            const sprintResults = groupResultsByRound(sprints, 'SprintResults');
+
+            return {
+                season,
+                rounds: schedule.map(round => {
+                    const entry = { ...round };
+                    if (sprintResults.has(round.round)) {
+                        entry.sprintResults = sprintResults.get(round.round).map(mapErgastResult);
+                    }
+                    if (raceResults.has(round.round)) {
+                        entry.results = raceResults.get(round.round).map(mapErgastResult);
+                    }
+                    return entry;
+                })
+            };
+        },
+
+        fetchSchedule
+    };
+}
+
+/**
+ * Map an Ergast driver entry to the portal's driver format
+ * @param {object} driver - Ergast Driver entry
+ * @returns {object} - Driver object
+ */
+function mapErgastDriver(driver) {
+    return {
+        id: driver.driverId,
+        name: `${driver.givenName} ${driver.familyName}`,
+        number: driver.permanentNumber || '0',
+        // Unknown nationalities are left for the validator to report
+        nationality: toCountryCode(driver.nationality) || driver.nationality,
+        image: `/images/drivers/${driver.driverId}.svg`
+    };
+}
+
+/**
+ * Map an Ergast result entry to the portal's result format
+ * @param {object} result - Ergast Results/SprintResults entry
+ * @returns {object} - Result (position, driverId, teamId, status, points, fastestLap)
+ */
+function mapErgastResult(result) {
+    return {
+        position: parseInt(result.position, 10),
+        driverId: result.Driver.driverId,
+        teamId: toSlug(result.Constructor.constructorId),
+        status: mapErgastStatus(result.positionText),
+        points: parseFloat(result.points) || 0,
+        fastestLap: !!(result.FastestLap && result.FastestLap.rank === '1')
+    };
+}
+
+/**
+ * Map Ergast's positionText to a result status
+ * @param {string} positionText - "1".."20", "R", "D", "E", "W", "F" or "N"
+ * @returns {string} - 'Finished', 'DNF', 'DSQ' or 'DNS'
+ */
+function mapErgastStatus(positionText) {
+    switch (positionText) {
+        case 'R':
+        case 'N':
+            return 'DNF';
+        case 'D':
+        case 'E':
+            return 'DSQ';
+        case 'W':
+        case 'F':
+            return 'DNS';
+        default:
+            return 'Finished';
+    }
+}
+
+/**
+ * Create an adapter for an OpenF1-style API
+ * @param {object} options - { baseUrl, fetchJSON }
+ * @returns {object} - Data provider adapter
+ */
+function createOpenF1Provider(options = {}) {
+    const baseUrl = options.baseUrl || DATA_PROVIDER_CONFIG.openf1.baseUrl;
+    const fetchJSON = options.fetchJSON || fetchJSONWithTimeout;
+
+    /**
+     * Fetch the season's race and sprint sessions that have started, oldest first
+     * @param {number} season - Season year
+     * @returns {Promise<array>} - Array of OpenF1 session objects
+     */
+    async function fetchRaceSessions(season) {
+        const sessions = await fetchJSON(`${baseUrl}/sessions?year=${season}&session_type=Race`);
+        if (!Array.isArray(sessions)) throw new Error('Invalid API response structure');
+
+        const now = new Date().toISOString();
+        return sessions
+            .filter(session => session.date_start <= now)
+            .sort((a, b) => a.date_start.localeCompare(b.date_start));
+    }
+
+    /**
+     * Fetch the drivers entered in a session
+     * @param {number} sessionKey - OpenF1 session key
+     * @returns {Promise<array>} - Array of driver objects
+     */
+    async function fetchSessionDrivers(sessionKey) {
+        const drivers = await fetchJSON(`${baseUrl}/drivers?session_key=${sessionKey}`);
+        if (!Array.isArray(drivers)) throw new Error('Invalid API response structure');
+
+        return drivers.map(driver => ({
+            id: toSlug(driver.last_name),
+            name: `${driver.first_name} ${driver.last_name}`,
+            number: String(driver.driver_number),
+            nationality: toCountryCode(driver.country_code) || driver.country_code || '',
+            image: `/images/drivers/${toSlug(driver.last_name)}.svg`,
+            teamId: toSlug(driver.team_name),
+            teamName: driver.team_name,
+            teamColor: driver.team_colour ? `#${driver.team_colour}` : null
+        }));
+    }
+
+    /**
+     * Build the season's rounds from meetings that hold a race session
+     * @param {number} season - Season year
+     * @param {array} sessions - Race sessions from fetchRaceSessions()
+     * @returns {Promise<array>} - Rounds with their race and sprint session keys
+     */
+    async function fetchRounds(season, sessions) {
+        const meetings = await fetchJSON(`${baseUrl}/meetings?year=${season}`);
+        if (!Array.isArray(meetings)) throw new Error('Invalid API response structure');
+
+        return meetings
+            .map(meeting => ({
+                meeting,
+                race: sessions.find(s => s.meeting_key === meeting.meeting_key && s.session_name === 'Race'),
+                sprint: sessions.find(s => s.meeting_key === meeting.meeting_key && s.session_name === 'Sprint')
+            }))
+            .filter(entry => entry.race)
+            .sort((a, b) => a.race.date_start.localeCompare(b.race.date_start))
+            .map((entry, index) => ({ ...entry, round: index + 1 }));
+    }
+
+    /**
+     * Fetch and map one session's classification
+     * @param {number} sessionKey - OpenF1 session key
+     * @returns {Promise<array>} - Array of results in finishing order
+     */
+    async function fetchSessionResults(sessionKey) {
+        const [results, drivers] = await Promise.all([
+            fetchJSON(`${baseUrl}/session_result?session_key=${sessionKey}`),
+            fetchSessionDrivers(sessionKey)
+        ]);
+        if (!Array.isArray(results)) throw new Error('Invalid API response structure');
+
+        const driversByNumber = new Map(drivers.map(driver => [driver.number, driver]));
+
+        // Unclassified cars have no position; keep them after the classified ones
+        return results
+            .slice()
+            .sort((a, b) => (a.position || Infinity) - (b.position || Infinity))
+            .map((result, index) => {
+                const driver = driversByNumber.get(String(result.driver_number)) || {};
+                let status = 'Finished';
+                if (result.dsq) status = 'DSQ';
+                else if (result.dns) status = 'DNS';
+                else if (result.dnf) status = 'DNF';
+
+                return {
+                    position: index + 1,
+                    driverId: driver.id || String(result.driver_number),
+                    teamId: driver.teamId || '',
+                    status,
+                    points: result.points || 0,
+                    fastestLap: false
+                };
+            });
+    }
+
+    async function fetchDrivers(season) {
+        const sessions = await fetchRaceSessions(season);
+        if (sessions.length === 0) return [];
+        return fetchSessionDrivers(sessions[sessions.length - 1].session_key);
+    }
+
+    return {
+        name: 'openf1',
+
+        async fetchTeams(season) {
+            const drivers = await fetchDrivers(season);
+            const teams = new Map();
+
+            drivers.forEach(driver => {
+                if (!teams.has(driver.teamId)) {
+                    teams.set(driver.teamId, createTeamRecord({
+                        id: driver.teamId,
+                        name: driver.teamName,
+                        accentColor: driver.teamColor
+                    }));
+                }
+                teams.get(driver.teamId).drivers.push(driver);
+            });
+
+            return Array.from(teams.values());
+        },
+
+        fetchDrivers,
+
+        async fetchResults(season) {
+            const sessions = await fetchRaceSessions(season);
+            const rounds = await fetchRounds(season, sessions);
+
+            return {
+                season,
+                rounds: await Promise.all(rounds.map(async entry => {
+                    const round = mapOpenF1Round(entry);
+                    if (entry.sprint) {
+                        round.sprintResults = await fetchSessionResults(entry.sprint.session_key);
+                    }
+                    round.results = await fetchSessionResults(entry.race.session_key);
+                    return round;
+                }))
+            };
+        },
+
+        async fetchSchedule(season) {
+            const sessions = await fetchRaceSessions(season);
+            const rounds = await fetchRounds(season, sessions);
+            return rounds.map(mapOpenF1Round);
+        }
+    };
+}
+
+/**
+ * Map an OpenF1 meeting entry to the portal's round format
+ * @param {object} entry - { meeting, race, sprint, round } from fetchRounds()
+ * @returns {object} - Round (round, name, circuit, date, sprint)
+ */
+function mapOpenF1Round(entry) {
+    return {
+        round: entry.round,
+        name: entry.meeting.meeting_name,
+        circuit: entry.meeting.circuit_short_name,
+        date: entry.race.date_start.slice(0, 10),
+        sprint: !!entry.sprint
+    };
+}
+
+/**
+ * Create an adapter for the curated JSON files shipped with the portal
+ * @param {object} options - { teamsUrl, seasonsPath, fetchJSON }
+ * @returns {object} - Data provider adapter
+ */
+function createLocalProvider(options = {}) {
+    const teamsUrl = options.teamsUrl || DATA_PROVIDER_CONFIG.local.teamsUrl;
+    const seasonsPath = options.seasonsPath || DATA_PROVIDER_CONFIG.local.seasonsPath;
+    const fetchJSON = options.fetchJSON || fetchJSONWithTimeout;
+
+    async function fetchTeams(season) {
+        const data = await fetchJSON(teamsUrl);
+        if (!data || !Array.isArray(data.teams)) {
+            throw new Error('Invalid teams file structure');
+        }
+        if (data.season && data.season !== season) {
+            throw new Error(`Local teams file covers ${data.season}, not ${season}`);
+        }
+        return data.teams;
+    }
+
+    async function fetchResults(season) {
+        const data = await fetchJSON(`${seasonsPath}/${season}.json`);
+        if (!data || !Array.isArray(data.rounds)) {
+            throw new Error('Invalid season results structure');
+        }
+        return data;
+    }
+
+    return {
+        name: 'local',
+
+        fetchTeams,
+
+        async fetchDrivers(season) {
+            const teams = await fetchTeams(season);
+            return teams.flatMap(team =>
+                (team.drivers || []).map(driver => ({ ...driver, teamId: team.id }))
+            );
+        },
+
+        fetchResults,
+
+        async fetchSchedule(season) {
+            const data = await fetchResults(season);
+            return data.rounds.map(({ results, sprintResults, ...round }) => round);
+        }
+    };
+}
+
+const DATA_PROVIDER_FACTORIES = {
+    ergast: createErgastProvider,
+    openf1: createOpenF1Provider,
+    local: createLocalProvider
+};
+
+/**
+ * Create a data provider adapter from its config section
+ * @param {string} name - Provider name (defaults to DATA_PROVIDER_CONFIG.provider)
+ * @returns {object} - Data provider adapter
+ */
+function getDataProvider(name = DATA_PROVIDER_CONFIG.provider) {
+    const factory = DATA_PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown data provider: ${name}`);
+    }
+    return factory(DATA_PROVIDER_CONFIG[name] || {});
+}
+
+/**
+ * Call a provider method on the configured provider, then on the fallback provider
+ * @param {string} method - Interface method, e.g. 'fetchTeams'
+ * @param {number} season - Season year
+ * @returns {Promise<*>} - First non-empty result, or null if every provider failed
+ */
+async function fetchFromProviders(method, season) {
+    const names = [DATA_PROVIDER_CONFIG.provider, DATA_PROVIDER_CONFIG.fallbackProvider]
+        .filter((name, index, list) => name && list.indexOf(name) === index);
+
+    for (const name of names) {
+        try {
+            const data = await getDataProvider(name)[method](season);
+            if (data && (!Array.isArray(data) || data.length > 0)) {
+                return data;
+            }
+            console.warn(`${name} provider returned no data for ${method}(${season})`);
+        } catch (error) {
+            console.warn(`${name} provider failed on ${method}(${season}):`, error.message);
+        }
+    }
+
+    return null;
+}
+
+// Expose the adapters to Node scripts; in the browser the functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createErgastProvider,
+        createOpenF1Provider,
+        createLocalProvider,
+        getDataProvider,
+        fetchFromProviders,
+        fetchJSONWithTimeout,
+        toSlug
+    };
+}
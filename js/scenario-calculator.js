@@ -0,0 +1,350 @@
+/**
+ * SCENARIO-CALCULATOR.JS
+ * Championship scenarios on the standings page: each driver's maximum
+ * possible points over the remaining grands prix and sprints, who is still
+ * in contention, and projected standings for hypothetical finishing orders
+ */
+
+// Used when the season data doesn't carry its own points system
+const DEFAULT_POINTS_SYSTEM = {
+    race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    sprint: [8, 7, 6, 5, 4, 3, 2, 1]
+};
+
+let scenarioDrivers = [];
+let scenarioRounds = [];
+let scenarioHasResults = false;
+let scenarioPointsSystem = DEFAULT_POINTS_SYSTEM;
+let scenarioResults = {};
+let scenarioRound = null;
+
+/**
+ * Set up the calculator for a season
+ * @param {array} drivers - Sorted drivers from extractAndSortDrivers()
+ * @param {object|null} seasonResults - Season object with rounds and pointsSystem
+ * @param {array} teams - Teams used to resolve result IDs to driver IDs
+ */
+function initScenarioCalculator(drivers, seasonResults, teams = []) {
+    const section = document.getElementById('scenario-section');
+    if (!section) return;
+
+    scenarioHasResults = Boolean(seasonResults);
+    scenarioDrivers = seasonResults ? getScenarioDrivers(drivers, seasonResults, teams) : drivers;
+    scenarioPointsSystem = (seasonResults && seasonResults.pointsSystem) || DEFAULT_POINTS_SYSTEM;
+    scenarioRounds = seasonResults ? getRemainingSessions(seasonResults) : [];
+    scenarioResults = {};
+    scenarioRound = scenarioRounds.length > 0 ? scenarioRounds[0].round : null;
+
+    bindScenarioEvents();
+    renderScenarioCalculator();
+}
+
+/**
+ * Take the drivers' points and wins from the same results the remaining
+ * sessions are read from, so the rounds already run and the points agree
+ * @param {array} drivers - Drivers from extractAndSortDrivers()
+ * @param {object} seasonResults - Season object with rounds
+ * @param {array} teams - Teams used to resolve result IDs to driver IDs
+ * @returns {array} - Drivers with their totals from the results, best first
+ */
+function getScenarioDrivers(drivers, seasonResults, teams = []) {
+    const totals = computeSeasonTotals(seasonResults, teams);
+
+    return drivers
+        .map(driver => ({ ...driver, ...(totals.drivers[driver.id] || createEmptyDriverTotals()) }))
+        .sort((a, b) => b.points - a.points || b.wins - a.wins);
+}
+
+/**
+ * List the grands prix and sprints still to be run
+ * @param {object} seasonResults - Season object with rounds
+ * @returns {array} - Rounds { round, name, race, sprint } where race/sprint are true while still to run
+ */
+function getRemainingSessions(seasonResults) {
+    return (seasonResults.rounds || [])
+        .map(round => ({
+            round: round.round,
+            name: round.name,
+            race: !(round.results && round.results.length > 0),
+            sprint: !!round.sprint && !(round.sprintResults && round.sprintResults.length > 0)
+        }))
+        .filter(round => round.race || round.sprint);
+}
+
+/**
+ * Points for a finishing position
+ * @param {string} session - 'race' or 'sprint'
+ * @param {number} index - 0-based finishing position
+ * @returns {number} - Points scored
+ */
+function getScenarioPoints(session, index) {
+    return scenarioPointsSystem[session][index] || 0;
+}
+
+/**
+ * Check whether a hypothetical order has been entered for a session
+ * @param {number} round - Round number
+ * @param {string} session - 'race' or 'sprint'
+ * @param {object} results - Hypothetical orders by round and session
+ * @returns {boolean} - True once any position is filled in
+ */
+function isScenarioSessionEntered(round, session, results = scenarioResults) {
+    const entered = results[round] && results[round][session];
+    return !!entered && entered.some(Boolean);
+}
+
+/**
+ * Project the standings with the hypothetical results and work out who can still win
+ * @param {array} drivers - Drivers in championship order (defaults to the calculator's)
+ * @param {array} rounds - Remaining sessions from getRemainingSessions()
+ * @param {object} results - Hypothetical orders by round and session
+ * @returns {array} - Drivers { driver, position, points, projected, wins, maxPoints, status }, best first
+ */
+function computeScenarioStandings(drivers = scenarioDrivers, rounds = scenarioRounds, results = scenarioResults) {
+    // Sessions without an entered order are still open; entered ones count as run
+    const openPoints = rounds.reduce((total, round) => {
+        let points = total;
+        if (round.race && !isScenarioSessionEntered(round.round, 'race', results)) points += getScenarioPoints('race', 0);
+        if (round.sprint && !isScenarioSessionEntered(round.round, 'sprint', results)) points += getScenarioPoints('sprint', 0);
+        return points;
+    }, 0);
+    const openRaces = rounds.filter(round => round.race && !isScenarioSessionEntered(round.round, 'race', results)).length;
+
+    const standings = drivers.map((driver, index) => ({
+        driver,
+        position: index + 1,
+        points: driver.points || 0,
+        projected: driver.points || 0,
+        wins: driver.wins || 0
+    }));
+    const byId = new Map(standings.map(entry => [entry.driver.id, entry]));
+
+    Object.values(results).forEach(sessions => {
+        ['race', 'sprint'].forEach(session => {
+            (sessions[session] || []).forEach((driverId, index) => {
+                const entry = byId.get(driverId);
+                if (!entry) return;
+                entry.projected += getScenarioPoints(session, index);
+                if (session === 'race' && index === 0) entry.wins += 1;
+            });
+        });
+    });
+
+    standings.sort((a, b) => b.projected - a.projected || b.wins - a.wins || a.position - b.position);
+
+    // Level on points the title goes to the driver with more wins; winning every open race adds them too
+    const leader = standings[0] || { projected: 0, wins: 0 };
+    const canCatchLeader = entry => entry.projected + openPoints > leader.projected ||
+        (entry.projected + openPoints === leader.projected && entry.wins + openRaces >= leader.wins);
+    const rivalsCanCatch = standings.slice(1).some(canCatchLeader);
+
+    return standings.map((entry, index) => {
+        const maxPoints = entry.projected + openPoints;
+        let status = index === 0 || canCatchLeader(entry) ? 'contention' : 'out';
+        if (index === 0 && !rivalsCanCatch) status = 'champion';
+
+        return { ...entry, maxPoints, status };
+    });
+}
+
+/**
+ * Render the whole calculator
+ */
+function renderScenarioCalculator() {
+    renderScenarioSummary();
+    renderScenarioEditor();
+    renderScenarioTable();
+}
+
+/**
+ * Render the line describing what is left to race for
+ */
+function renderScenarioSummary() {
+    const summary = document.getElementById('scenario-summary');
+    if (!summary) return;
+
+    if (scenarioDrivers.length === 0) {
+        summary.textContent = t('common.noResults');
+        return;
+    }
+    if (!scenarioHasResults) {
+        summary.textContent = t('scenario.unavailable');
+        return;
+    }
+
+    const races = scenarioRounds.filter(round => round.race).length;
+    const sprints = scenarioRounds.filter(round => round.sprint).length;
+    const available = races * getScenarioPoints('race', 0) + sprints * getScenarioPoints('sprint', 0);
+
+    summary.textContent = races + sprints === 0
+        ? t('scenario.complete')
+        : t('scenario.remaining', {
+            races: t('common.raceCount', { count: races, value: formatNumber(races) }),
+            sprints: t('common.sprintCount', { count: sprints, value: formatNumber(sprints) }),
+            points: formatNumber(available)
+        });
+}
+
+/**
+ * Render the round picker and the finishing order selects of the selected round
+ */
+function renderScenarioEditor() {
+    const editor = document.getElementById('scenario-editor');
+    if (!editor) return;
+
+    if (scenarioRounds.length === 0) {
+        editor.hidden = true;
+        return;
+    }
+    editor.hidden = false;
+
+    const roundSelect = document.getElementById('scenario-round');
+    if (roundSelect) {
+        render(roundSelect, scenarioRounds.map(round => html`
+            <option value="${round.round}" ${round.round === scenarioRound ? 'selected' : ''}>
+                ${t('common.roundShort', { round: round.round })} ${round.name}${isScenarioSessionEntered(round.round, 'race') || isScenarioSessionEntered(round.round, 'sprint') ? ' ✓' : ''}
+            </option>
+        `));
+    }
+
+    const positions = document.getElementById('scenario-positions');
+    if (!positions) return;
+
+    const round = scenarioRounds.find(item => item.round === scenarioRound);
+    const sessions = ['sprint', 'race'].filter(session => round && round[session]);
+
+    render(positions, sessions.map(session => {
+        const entered = (scenarioResults[scenarioRound] && scenarioResults[scenarioRound][session]) || [];
+
+        return html`
+            <fieldset class="scenario-session">
+                <legend>${t(session === 'race' ? 'scenario.grandPrix' : 'scenario.sprint')}</legend>
+                ${scenarioPointsSystem[session].map((points, index) => html`
+                    <label class="scenario-position">
+                        <span>P${index + 1} <small>(${formatNumber(points)})</small></span>
+                        <select class="scenario-select" data-session="${session}" data-index="${index}">
+                            <option value="">—</option>
+                            ${scenarioDrivers.map(driver => html`
+                                <option value="${driver.id}" ${entered[index] === driver.id ? 'selected' : ''}>${driver.name}</option>
+                            `)}
+                        </select>
+                    </label>
+                `)}
+            </fieldset>
+        `;
+    }));
+}
+
+/**
+ * Render the projected standings
+ */
+function renderScenarioTable() {
+    const body = document.getElementById('scenario-body');
+    if (!body) return;
+
+    if (scenarioDrivers.length === 0) {
+        render(body, html`<tr><td colspan="6" class="teams-loading">${t('drivers.empty')}</td></tr>`);
+        return;
+    }
+    // Without results there is no telling what is left to race for
+    if (!scenarioHasResults) {
+        render(body, '');
+        return;
+    }
+
+    render(body, computeScenarioStandings().map((entry, index) => {
+        const change = entry.position - (index + 1);
+        const changeText = change > 0 ? `▲${change}` : (change < 0 ? `▼${-change}` : '');
+
+        return html`
+            <tr class="scenario-row is-${entry.status}">
+                <td>
+                    <span class="standings-rank">${index + 1}</span>
+                    <span class="scenario-change ${change > 0 ? 'is-up' : 'is-down'}">${changeText}</span>
+                </td>
+                <td><span class="team-name" style="border-left: 4px solid ${entry.driver.teamColor}; padding-left: 8px;">${entry.driver.name}</span></td>
+                <td><span class="stats-cell">${formatNumber(entry.points)}</span></td>
+                <td><span class="points-cell">${formatNumber(entry.projected)}</span></td>
+                <td><span class="stats-cell">${formatNumber(entry.maxPoints)}</span></td>
+                <td><span class="scenario-status">${t(`scenario.status.${entry.status}`)}</span></td>
+            </tr>
+        `;
+    }));
+}
+
+/**
+ * Bind the calculator controls once (delegated, survives re-renders)
+ */
+function bindScenarioEvents() {
+    const section = document.getElementById('scenario-section');
+    if (!section || section.dataset.bound) return;
+    section.dataset.bound = 'true';
+
+    section.addEventListener('change', (e) => {
+        if (e.target.id === 'scenario-round') {
+            scenarioRound = parseInt(e.target.value, 10);
+            renderScenarioEditor();
+        } else if (e.target.matches('.scenario-select')) {
+            setScenarioPosition(e.target.getAttribute('data-session'), parseInt(e.target.getAttribute('data-index'), 10), e.target.value);
+        }
+    });
+
+    section.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-scenario-action]');
+        if (!action) return;
+
+        const name = action.getAttribute('data-scenario-action');
+        if (name === 'fill') {
+            fillScenarioRound();
+        } else if (name === 'clear') {
+            delete scenarioResults[scenarioRound];
+        } else if (name === 'reset') {
+            scenarioResults = {};
+        }
+        renderScenarioCalculator();
+    });
+}
+
+/**
+ * Put a driver in a finishing position; a driver can only finish once per session
+ * @param {string} session - 'race' or 'sprint'
+ * @param {number} index - 0-based finishing position
+ * @param {string} driverId - Driver ID, or '' to empty the position
+ */
+function setScenarioPosition(session, index, driverId) {
+    const sessions = scenarioResults[scenarioRound] || (scenarioResults[scenarioRound] = {});
+    const order = sessions[session] || (sessions[session] = []);
+
+    const previousIndex = order.indexOf(driverId);
+    if (driverId && previousIndex !== -1 && previousIndex !== index) {
+        order[previousIndex] = order[index] || null;
+    }
+    order[index] = driverId || null;
+
+    renderScenarioCalculator();
+}
+
+/**
+ * Fill the selected round with the current championship order
+ */
+function fillScenarioRound() {
+    const round = scenarioRounds.find(item => item.round === scenarioRound);
+    if (!round) return;
+
+    const order = scenarioDrivers.map(driver => driver.id);
+    scenarioResults[scenarioRound] = {};
+    ['race', 'sprint'].forEach(session => {
+        if (round[session]) {
+            scenarioResults[scenarioRound][session] = order.slice(0, scenarioPointsSystem[session].length);
+        }
+    });
+}
+
+// Expose the calculations to Node scripts; in the browser the functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getScenarioDrivers,
+        getRemainingSessions,
+        computeScenarioStandings
+    };
+}
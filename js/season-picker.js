@@ -0,0 +1,92 @@
+/**
+ * SEASON-PICKER.JS
+ * Navbar season selector shared by the teams, drivers and standings pages
+ */
+
+/**
+ * Populate the navbar season picker and bind the change handler
+ * @param {function} onSeasonChange - Called with the new season after the URL is updated
+ */
+function initSeasonPicker(onSeasonChange) {
+    const season = getSelectedSeason();
+    const seasonSelect = document.getElementById('season-select');
+
+    if (seasonSelect) {
+        render(seasonSelect, getAvailableSeasons().map(year => html`
+            <option value="${year}" ${year === season ? 'selected' : ''}>${year}</option>
+        `));
+
+        seasonSelect.addEventListener('change', () => {
+            const newSeason = parseInt(seasonSelect.value, 10);
+            setSelectedSeason(newSeason);
+            console.log('Season changed to:', newSeason);
+
+            if (onSeasonChange) {
+                onSeasonChange(newSeason);
+            }
+        });
+
+        // Back / Forward can land on an entry of another season (e.g. one with a modal open)
+        window.addEventListener('popstate', () => {
+            const urlSeason = getSelectedSeason();
+            if (parseInt(seasonSelect.value, 10) === urlSeason) return;
+
+            seasonSelect.value = urlSeason;
+            updateSeasonLabels(urlSeason);
+            updateSeasonLinks(urlSeason);
+            console.log('Season restored from history:', urlSeason);
+
+            if (onSeasonChange) {
+                onSeasonChange(urlSeason);
+            }
+        });
+    }
+
+    updateSeasonLabels(season);
+    updateSeasonLinks(season);
+}
+
+/**
+ * Store the selected season in the URL and refresh season-dependent markup
+ * @param {number} season - Season year
+ */
+function setSelectedSeason(season) {
+    const url = new URL(window.location.href);
+    if (season === CURRENT_SEASON) {
+        url.searchParams.delete('season');
+    } else {
+        url.searchParams.set('season', season);
+    }
+    history.replaceState(history.state, '', url);
+
+    updateSeasonLabels(season);
+    updateSeasonLinks(season);
+}
+
+/**
+ * Update every `.season-label` element with the season year
+ * @param {number} season - Season year
+ */
+function updateSeasonLabels(season) {
+    document.querySelectorAll('.season-label').forEach(label => {
+        label.textContent = season;
+    });
+}
+
+/**
+ * Carry the selected season over to navbar links between data pages
+ * @param {number} season - Season year
+ */
+function updateSeasonLinks(season) {
+    document.querySelectorAll('.nav-link, .logo-link').forEach(link => {
+        if (!link.dataset.baseHref) {
+            link.dataset.baseHref = link.getAttribute('href');
+        }
+
+        const [path, hash] = link.dataset.baseHref.split('#');
+        if (!/^(index|drivers|standings)\.html$/.test(path)) return;
+
+        const query = season === CURRENT_SEASON ? '' : `?season=${season}`;
+        link.setAttribute('href', `${path}${query}${hash ? `#${hash}` : ''}`);
+    });
+}
@@ -0,0 +1,289 @@
+/**
+ * SHARE-CARD.JS
+ * Social-sized stat cards for a driver or team, drawn on a canvas and
+ * shared through the Web Share API or downloaded as a PNG
+ */
+
+// Open Graph image size, shown uncropped by most social networks
+const SHARE_CARD_WIDTH = 1200;
+const SHARE_CARD_HEIGHT = 630;
+
+/**
+ * Bind the "Share card" buttons of a page (delegated, survives modal re-renders)
+ * @param {function} getCard - Returns the card of the open modal, see getDriverShareCard()
+ */
+function initShareCards(getCard) {
+    document.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-share-card]');
+        if (!button || button.disabled) return;
+
+        const card = getCard();
+        if (!card) return;
+
+        button.disabled = true;
+        try {
+            await shareCardImage(card);
+        } catch (error) {
+            // Closing the share sheet rejects with an AbortError
+            if (error.name !== 'AbortError') {
+                console.error('Share card failed:', error);
+            }
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Render the "Share card" button for a modal footer
+ * @param {string} color - Team colour of the button
+ * @returns {object} - Safe markup for the button
+ */
+function renderShareCardButton(color) {
+    return html`
+        <button type="button" class="modal-link-button share-card-button" data-share-card style="background-color: ${color}">
+            ${t('shareCard.button')}
+        </button>
+    `;
+}
+
+/**
+ * Build the card of a driver
+ * @param {object} driver - Driver object with team info (teamName, teamColor, teamLogo)
+ * @param {array} teams - Every team of the season (for the championship position)
+ * @param {number} season - Season year
+ * @returns {object} - Card { filename, title, subtitle, number, color, image, logo, stats, footer }
+ */
+function getDriverShareCard(driver, teams, season) {
+    const position = extractAndSortDrivers(teams).findIndex(item => item.id === driver.id) + 1;
+
+    return {
+        filename: `${driver.id}-${season}`,
+        title: driver.name,
+        subtitle: `${driver.teamName} · ${getNationalityName(driver.nationality)}`,
+        number: driver.number ? `#${driver.number}` : '',
+        color: driver.teamColor,
+        image: driver.image,
+        logo: driver.teamLogo,
+        stats: [
+            { label: t('shareCard.position'), value: position > 0 ? `P${position}` : '–' },
+            { label: t('shareCard.points'), value: formatNumber(driver.points) },
+            { label: t('shareCard.wins'), value: formatNumber(driver.wins) },
+            { label: t('shareCard.podiums'), value: formatNumber(driver.podiums) },
+            { label: t('shareCard.pointsPerRace'), value: formatDecimal(driver.races ? driver.points / driver.races : 0) }
+        ],
+        footer: t('shareCard.footer', { season })
+    };
+}
+
+/**
+ * Build the card of a team
+ * @param {object} team - Team object
+ * @param {array} teams - Every team of the season (for the championship position)
+ * @param {number} season - Season year
+ * @returns {object} - Card { filename, title, subtitle, number, color, image, logo, stats, footer }
+ */
+function getTeamShareCard(team, teams, season) {
+    const constructors = extractAndSortConstructors(teams);
+    const position = constructors.findIndex(item => item.id === team.id) + 1;
+    const totals = constructors[position - 1] || { points: 0, wins: 0 };
+
+    return {
+        filename: `${team.id}-${season}`,
+        title: team.name,
+        subtitle: (team.drivers || []).map(driver => driver.name).join(' / '),
+        number: position > 0 ? `P${position}` : '',
+        color: team.accent_color,
+        image: null,
+        logo: team.logo,
+        stats: [
+            { label: t('shareCard.points'), value: formatNumber(totals.points) },
+            { label: t('shareCard.seasonWins'), value: formatNumber(totals.wins) },
+            { label: t('shareCard.titles'), value: formatNumber(team.championships) },
+            { label: t('shareCard.careerWins'), value: formatNumber(team.wins) },
+            { label: t('shareCard.powerUnit'), value: team.powerUnit || '–' }
+        ],
+        footer: t('shareCard.footer', { season })
+    };
+}
+
+/**
+ * Draw a card, then share it or fall back to a download
+ * @param {object} card - Card from getDriverShareCard() / getTeamShareCard()
+ */
+async function shareCardImage(card) {
+    const canvas = await drawShareCard(card);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('Canvas could not be exported');
+
+    const filename = `${card.filename}.png`;
+    const file = new File([blob], filename, { type: 'image/png' });
+
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ files: [file], title: card.title });
+        console.log('Shared card:', filename);
+    } else {
+        downloadFile(filename, blob, 'image/png');
+        console.log('Downloaded card:', filename);
+    }
+}
+
+/**
+ * Load an image for drawing; a missing image leaves a gap instead of failing the card
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement|null>} - Loaded image, or null
+ */
+function loadShareCardImage(src) {
+    if (!src) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => {
+            console.warn('Share card image unavailable:', src);
+            resolve(null);
+        };
+        image.src = src;
+    });
+}
+
+/**
+ * Draw a card on a new canvas
+ * @param {object} card - Card from getDriverShareCard() / getTeamShareCard()
+ * @returns {Promise<HTMLCanvasElement>} - Drawn canvas
+ */
+async function drawShareCard(card) {
+    const [image, logo] = await Promise.all([loadShareCardImage(card.image), loadShareCardImage(card.logo)]);
+    // The page fonts have to be ready or the canvas falls back to the default font
+    if (document.fonts) await document.fonts.ready;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = SHARE_CARD_WIDTH;
+    canvas.height = SHARE_CARD_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    // Background: dark base with the team colour fading in from the left
+    ctx.fillStyle = '#15151E';
+    ctx.fillRect(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+    const gradient = ctx.createLinearGradient(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+    gradient.addColorStop(0, card.color);
+    gradient.addColorStop(0.65, 'rgba(21, 21, 30, 0)');
+    ctx.globalAlpha = 0.55;
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = card.color;
+    ctx.fillRect(0, 0, 16, SHARE_CARD_HEIGHT);
+
+    // Big faded number (driver number or championship position) behind the photo
+    if (card.number) {
+        ctx.font = "700 300px 'Poppins', sans-serif";
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillText(card.number, SHARE_CARD_WIDTH - 40, 330);
+    }
+
+    if (image) {
+        drawContainedImage(ctx, image, SHARE_CARD_WIDTH - 420, 40, 360, 400);
+    } else if (logo) {
+        drawContainedImage(ctx, logo, SHARE_CARD_WIDTH - 400, 80, 320, 320);
+    }
+
+    if (logo) {
+        drawContainedImage(ctx, logo, 64, 56, 96, 96);
+    }
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = "700 64px 'Poppins', sans-serif";
+    ctx.fillText(fitShareCardText(ctx, card.title, 700), 64, 250);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.font = "500 30px 'Roboto Condensed', sans-serif";
+    ctx.fillText(fitShareCardText(ctx, card.subtitle, 700), 64, 300);
+
+    if (card.number && image) {
+        ctx.fillStyle = card.color;
+        ctx.font = "700 40px 'Poppins', sans-serif";
+        ctx.fillText(card.number, 64, 360);
+    }
+
+    drawShareCardStats(ctx, card);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = "400 22px 'Roboto Condensed', sans-serif";
+    ctx.textAlign = 'right';
+    ctx.fillText(card.footer, SHARE_CARD_WIDTH - 48, SHARE_CARD_HEIGHT - 28);
+
+    return canvas;
+}
+
+/**
+ * Draw the row of stat boxes along the bottom of a card
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} card - Card with stats [{ label, value }]
+ */
+function drawShareCardStats(ctx, card) {
+    const left = 64;
+    const top = 430;
+    const gap = 16;
+    const height = 120;
+    const width = (SHARE_CARD_WIDTH - left * 2 - gap * (card.stats.length - 1)) / card.stats.length;
+
+    card.stats.forEach((stat, index) => {
+        const x = left + index * (width + gap);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillRect(x, top, width, height);
+        ctx.fillStyle = card.color;
+        ctx.fillRect(x, top, width, 4);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = "700 40px 'Poppins', sans-serif";
+        ctx.fillText(fitShareCardText(ctx, String(stat.value), width - 24), x + width / 2, top + 66);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = "500 20px 'Roboto Condensed', sans-serif";
+        ctx.fillText(stat.label.toUpperCase(), x + width / 2, top + 100);
+    });
+}
+
+/**
+ * Draw an image scaled to fit a box, keeping its aspect ratio
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HTMLImageElement} image - Loaded image
+ * @param {number} x - Box left
+ * @param {number} y - Box top
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ */
+function drawContainedImage(ctx, image, x, y, width, height) {
+    // SVGs without an intrinsic size report 0; treat them as filling the box
+    const imageWidth = image.naturalWidth || width;
+    const imageHeight = image.naturalHeight || height;
+    const scale = Math.min(width / imageWidth, height / imageHeight);
+    const drawWidth = imageWidth * scale;
+    const drawHeight = imageHeight * scale;
+
+    ctx.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * Shorten text with an ellipsis until it fits the width in the current font
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text - Text to draw
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} - Text that fits
+ */
+function fitShareCardText(ctx, text, maxWidth) {
+    let fitted = String(text || '');
+    if (ctx.measureText(fitted).width <= maxWidth) return fitted;
+
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+}
@@ -1,23 +1,165 @@
 /**
  * STANDINGS.JS
- * Driver standings page initialization and event handling
+ * Driver and constructor standings page initialization and event handling
  */
 
 // Global state
 let allDriversData = [];
 let allTeamsData = [];
+let allConstructorsData = [];
 let currentFilter = '';
+let currentView = 'drivers';
+
+const STANDINGS_COLUMNS_KEY = 'f1_standings_columns';
+
+// Grey boxes shown when a driver photo or team logo fails to load
+const DRIVER_PHOTO_PLACEHOLDER = svgDataUrl('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 50 60"><rect fill="#666" width="50" height="60"/></svg>');
+const TEAM_LOGO_PLACEHOLDER = svgDataUrl('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 50 50"><rect fill="#666" width="50" height="50"/></svg>');
+
+/**
+ * Driver standings columns. Position and driver are always shown;
+ * the others can be toggled from the column picker. labelKey is the
+ * locale key of the header.
+ * sortValue() returns the value the column sorts by (and exports, unless
+ * exportValue() is given), defaultDirection is the direction used on the
+ * first click of its header.
+ */
+const STANDINGS_COLUMNS = [
+    {
+        key: 'position',
+        labelKey: 'standings.columns.position',
+        width: '50px',
+        required: true,
+        defaultDirection: 'asc',
+        sortValue: driver => getChampionshipPosition(driver),
+        render: driver => {
+            const position = getChampionshipPosition(driver);
+            const rankClass = position <= 3 ? `podium-${position}` : '';
+            return html`<span class="standings-rank ${rankClass}">${position}</span>`;
+        }
+    },
+    {
+        key: 'driver',
+        labelKey: 'standings.columns.driver',
+        required: true,
+        defaultDirection: 'asc',
+        sortValue: driver => driver.name,
+        render: driver => html`
+            <div class="driver-cell">
+                <img src="${driver.image}" alt="${driver.name}" class="driver-photo" data-fallback="${DRIVER_PHOTO_PLACEHOLDER}">
+                <div class="driver-info">
+                    <span class="driver-info-name">#${driver.number} ${driver.name}</span>
+                    <p>${formatNationality(driver.nationality)}</p>
+                </div>
+                ${renderFavouriteToggle('driver', driver.id, driver.name)}
+            </div>
+        `
+    },
+    {
+        key: 'team',
+        labelKey: 'standings.columns.team',
+        width: '100px',
+        visible: true,
+        defaultDirection: 'asc',
+        sortValue: driver => driver.teamName,
+        render: driver => html`<span class="team-name">${driver.teamName}</span>`
+    },
+    {
+        key: 'points',
+        labelKey: 'standings.columns.points',
+        width: '100px',
+        visible: true,
+        defaultDirection: 'desc',
+        sortValue: driver => driver.points || 0,
+        render: driver => html`<span class="points-cell">${formatNumber(driver.points)}</span>`
+    },
+    {
+        key: 'races',
+        labelKey: 'standings.columns.races',
+        width: '80px',
+        visible: true,
+        defaultDirection: 'desc',
+        sortValue: driver => driver.races || 0,
+        render: driver => html`<span class="stats-cell">${formatNumber(driver.races)}</span>`
+    },
+    {
+        key: 'wins',
+        labelKey: 'standings.columns.wins',
+        width: '80px',
+        visible: true,
+        defaultDirection: 'desc',
+        sortValue: driver => driver.wins || 0,
+        render: driver => html`<span class="stats-cell">${formatNumber(driver.wins)}</span>`
+    },
+    {
+        key: 'podiums',
+        labelKey: 'standings.columns.podiums',
+        width: '80px',
+        defaultDirection: 'desc',
+        sortValue: driver => driver.podiums || 0,
+        render: driver => html`<span class="stats-cell">${formatNumber(driver.podiums)}</span>`
+    },
+    {
+        key: 'fastestLaps',
+        labelKey: 'standings.columns.fastestLaps',
+        width: '80px',
+        defaultDirection: 'desc',
+        sortValue: driver => driver.fastestLaps || 0,
+        render: driver => html`<span class="stats-cell">${formatNumber(driver.fastestLaps)}</span>`
+    },
+    {
+        key: 'pointsPerRace',
+        labelKey: 'standings.columns.pointsPerRace',
+        width: '80px',
+        defaultDirection: 'desc',
+        sortValue: driver => (driver.races ? (driver.points || 0) / driver.races : 0),
+        exportValue: driver => Number((driver.races ? (driver.points || 0) / driver.races : 0).toFixed(2)),
+        render: driver => html`<span class="stats-cell">${formatDecimal(driver.races ? (driver.points || 0) / driver.races : 0)}</span>`
+    },
+    {
+        key: 'winRate',
+        labelKey: 'standings.columns.winRate',
+        width: '80px',
+        defaultDirection: 'desc',
+        sortValue: driver => (driver.races ? ((driver.wins || 0) / driver.races) * 100 : 0),
+        exportValue: driver => Number((driver.races ? ((driver.wins || 0) / driver.races) * 100 : 0).toFixed(1)),
+        render: driver => html`<span class="stats-cell">${formatPercent(driver.races ? ((driver.wins || 0) / driver.races) * 100 : 0)}</span>`
+    }
+];
+
+// Constructor standings columns for CSV / JSON exports
+const CONSTRUCTOR_EXPORT_COLUMNS = [
+    { key: 'position', labelKey: 'standings.columns.position', value: team => allConstructorsData.indexOf(team) + 1 },
+    { key: 'team', labelKey: 'standings.columns.team', value: team => team.name },
+    { key: 'drivers', labelKey: 'export.columns.drivers', value: team => team.driverNames.join(' / ') },
+    { key: 'points', labelKey: 'standings.columns.points', value: team => team.points },
+    { key: 'wins', labelKey: 'standings.columns.wins', value: team => team.wins },
+    { key: 'podiums', labelKey: 'standings.columns.podiums', value: team => team.podiums }
+];
+
+let visibleStandingsColumns = loadVisibleStandingsColumns();
+let standingsSort = { key: 'position', direction: 'asc' };
 
 /**
  * Initialize the standings page
  */
-function initStandingsPage() {
+async function initStandingsPage() {
     console.log('Initializing F1 Standings Page...');
 
     initTheme();
+    await initI18n();
     bindEventListeners();
+    initImageFallbacks();
+    initSeasonPicker(handleSeasonChange);
+    renderStandingsHeader();
+    renderColumnPicker();
     loadAndRenderStandings();
     initNavbarScroll();
+    initOfflineSupport();
+    initGlobalSearch();
+    initFavourites(refreshStandingsView);
+    initExportButtons(getStandingsExport);
+    initPrintView(() => t(`standings.printTitle.${currentView}`, { season: getSelectedSeason() }));
 }
 
 /**
@@ -65,6 +207,33 @@ function bindEventListeners() {
         searchBox.addEventListener('input', debounce(handleSearch, 300));
     }
 
+    // Sortable driver standings headers
+    const standingsHead = document.getElementById('standings-head');
+    if (standingsHead) {
+        standingsHead.addEventListener('click', (e) => {
+            const header = e.target.closest('[data-sort-key]');
+            if (header) {
+                handleStandingsSort(header.getAttribute('data-sort-key'));
+            }
+        });
+    }
+
+    const columnPicker = document.getElementById('column-picker-options');
+    if (columnPicker) {
+        columnPicker.addEventListener('change', (e) => {
+            if (e.target.matches('input[type="checkbox"]')) {
+                toggleStandingsColumn(e.target.value, e.target.checked);
+            }
+        });
+    }
+
+    // Drivers / constructors tabs
+    document.querySelectorAll('.standings-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            switchStandingsView(tab.getAttribute('data-view'));
+        });
+    });
+
     document.querySelectorAll('.nav-link').forEach(link => {
         link.addEventListener('click', (e) => {
             const href = link.getAttribute('href');
@@ -98,104 +267,354 @@ function initNavbarScroll() {
  */
 async function loadAndRenderStandings() {
     try {
-        console.log('Loading standings data...');
-        allTeamsData = await fetchTeamsData();
+        const season = getSelectedSeason();
+        console.log(`Loading standings data for ${season}...`);
+        const teams = await fetchTeamsData(season, freshTeams => {
+            if (season !== getSelectedSeason()) return;
+            console.log(`Refreshed ${season} standings data`);
+            setStandingsData(freshTeams);
+            refreshStandingsView();
+            loadResultsViews(season);
+        });
+
+        // A different season may have been picked while this one was loading
+        if (season !== getSelectedSeason()) return;
+        setStandingsData(teams || []);
 
-        if (allTeamsData && allTeamsData.length > 0) {
-            allDriversData = extractAndSortDrivers(allTeamsData);
-            console.log(`Loaded ${allDriversData.length} drivers`);
-            renderStandingsTable(allDriversData);
+        if (allTeamsData.length > 0) {
+            console.log(`Loaded ${allDriversData.length} drivers and ${allConstructorsData.length} constructors`);
+            refreshStandingsView();
+            loadResultsViews(season);
         } else {
-            renderErrorMessage('Failed to load standings data.');
+            renderErrorMessage(t('standings.loadFailed'));
         }
     } catch (error) {
         console.error('Error loading standings:', error);
-        renderErrorMessage('Error loading standings. Please try again.');
+        renderErrorMessage(t('standings.loadError'));
     }
 }
 
 /**
- * Extract drivers from teams and sort by points
+ * Store teams and derive the sorted driver and constructor standings
  * @param {array} teams - Array of team objects
- * @returns {array} - Sorted array of driver objects
  */
-function extractAndSortDrivers(teams) {
-    const drivers = [];
-
-    teams.forEach(team => {
-        if (team.drivers && Array.isArray(team.drivers)) {
-            team.drivers.forEach(driver => {
-                drivers.push({
-                    ...driver,
-                    teamId: team.id,
-                    teamName: team.name,
-                    teamColor: team.accent_color,
-                    teamLogo: team.logo
-                });
-            });
-        }
-    });
+function setStandingsData(teams) {
+    allTeamsData = teams;
+    allDriversData = extractAndSortDrivers(allTeamsData);
+    allConstructorsData = extractAndSortConstructors(allTeamsData);
+}
 
-    // Sort by points (descending), then by wins
-    drivers.sort((a, b) => {
-        if (b.points !== a.points) {
-            return b.points - a.points;
-        }
-        return b.wins - a.wins;
+/**
+ * Re-render both standings tables with the current search applied
+ */
+function refreshStandingsView() {
+    if (currentFilter === '') {
+        renderStandingsTable(allDriversData);
+        renderConstructorsTable(allConstructorsData);
+        highlightChartDrivers([]);
+    } else {
+        const matchedDrivers = filterStandings(currentFilter, allDriversData);
+        renderStandingsTable(matchedDrivers);
+        renderConstructorsTable(filterConstructors(currentFilter, allConstructorsData));
+        highlightChartDrivers(matchedDrivers.map(driver => driver.id));
+    }
+}
+
+/**
+ * Describe the table on screen (with its search and sort) for an export
+ * @returns {object} - { filename, columns, rows }
+ */
+function getStandingsExport() {
+    const season = getSelectedSeason();
+
+    if (currentView === 'constructors') {
+        return {
+            filename: `f1-constructor-standings-${season}`,
+            columns: CONSTRUCTOR_EXPORT_COLUMNS.map(column => ({ ...column, label: t(column.labelKey) })),
+            rows: filterConstructors(currentFilter, allConstructorsData)
+        };
+    }
+
+    return {
+        filename: `f1-driver-standings-${season}`,
+        columns: getVisibleStandingsColumns().map(column => ({
+            key: column.key,
+            label: t(column.labelKey),
+            value: column.exportValue || column.sortValue
+        })),
+        rows: sortStandings(filterStandings(currentFilter, allDriversData))
+    };
+}
+
+/**
+ * Load the season results for the points progression chart and the scenario calculator
+ * @param {number} season - Season year
+ */
+async function loadResultsViews(season) {
+    const seasonResults = await loadSeasonResults(season).catch(error => {
+        console.warn('Season results unavailable for the chart and scenarios:', error);
+        return null;
     });
 
-    return drivers;
+    // A different season may have been picked while the results were loading
+    if (season !== getSelectedSeason()) return;
+    renderPointsChart(allDriversData, seasonResults);
+    initScenarioCalculator(allDriversData, seasonResults, allTeamsData);
+}
+
+/**
+ * Reload standings when a different season is picked
+ */
+function handleSeasonChange() {
+    const searchBox = document.getElementById('search-box');
+    if (searchBox) searchBox.value = '';
+    currentFilter = '';
+
+    const standingsBody = document.getElementById('standings-body');
+    if (standingsBody) {
+        render(standingsBody, html`<tr><td colspan="${getVisibleStandingsColumns().length}" class="teams-loading">${t('standings.loading')}</td></tr>`);
+    }
+
+    const constructorsBody = document.getElementById('constructors-body');
+    if (constructorsBody) {
+        render(constructorsBody, html`<tr><td colspan="5" class="teams-loading">${t('standings.loading')}</td></tr>`);
+    }
+
+    loadAndRenderStandings();
 }
 
 /**
  * Render standings table
- * @param {array} drivers - Array of sorted driver objects
+ * @param {array} drivers - Array of driver objects in championship order
  */
 function renderStandingsTable(drivers) {
     const standingsBody = document.getElementById('standings-body');
     if (!standingsBody) return;
 
+    const columns = getVisibleStandingsColumns();
+
     if (!drivers || drivers.length === 0) {
-        standingsBody.innerHTML = '<tr><td colspan="6" class="teams-loading">No drivers found.</td></tr>';
+        render(standingsBody, html`<tr><td colspan="${columns.length}" class="teams-loading">${t('drivers.empty')}</td></tr>`);
         return;
     }
 
-    const rows = drivers.map((driver, index) => {
-        const position = index + 1;
+    const rows = sortStandings(drivers).map(driver => html`
+        <tr class="${isFavourite('driver', driver.id) ? 'is-favourite' : ''}">
+            ${columns.map(column => html`<td>${column.render(driver)}</td>`)}
+        </tr>
+    `);
+
+    render(standingsBody, rows);
+}
+
+/**
+ * Championship position of a driver (kept when the table is filtered or re-sorted)
+ * @param {object} driver - Driver object from allDriversData
+ * @returns {number} - 1-based position
+ */
+function getChampionshipPosition(driver) {
+    return allDriversData.indexOf(driver) + 1;
+}
+
+/**
+ * Sort drivers by the selected column, falling back to championship order on ties
+ * @param {array} drivers - Array of driver objects
+ * @returns {array} - New sorted array
+ */
+function sortStandings(drivers) {
+    const column = STANDINGS_COLUMNS.find(col => col.key === standingsSort.key) || STANDINGS_COLUMNS[0];
+    const direction = standingsSort.direction === 'desc' ? -1 : 1;
+
+    return [...drivers].sort((a, b) => {
+        const valueA = column.sortValue(a);
+        const valueB = column.sortValue(b);
+        const compared = typeof valueA === 'string'
+            ? valueA.localeCompare(valueB)
+            : valueA - valueB;
+
+        return compared * direction || getChampionshipPosition(a) - getChampionshipPosition(b);
+    });
+}
+
+/**
+ * Sort by a column; clicking the sorted column again reverses the direction
+ * @param {string} key - Column key
+ */
+function handleStandingsSort(key) {
+    const column = STANDINGS_COLUMNS.find(col => col.key === key);
+    if (!column) return;
+
+    if (standingsSort.key === key) {
+        standingsSort.direction = standingsSort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        standingsSort = { key, direction: column.defaultDirection };
+    }
+
+    renderStandingsHeader();
+    refreshStandingsView();
+}
+
+/**
+ * Columns currently shown in the driver standings table
+ * @returns {array} - Column definitions in display order
+ */
+function getVisibleStandingsColumns() {
+    return STANDINGS_COLUMNS.filter(column => column.required || visibleStandingsColumns.includes(column.key));
+}
+
+/**
+ * Read the saved column choice
+ * @returns {array} - Keys of the optional columns to show
+ */
+function loadVisibleStandingsColumns() {
+    const defaults = STANDINGS_COLUMNS.filter(column => column.visible).map(column => column.key);
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(STANDINGS_COLUMNS_KEY));
+        if (!Array.isArray(saved)) return defaults;
+        return saved.filter(key => STANDINGS_COLUMNS.some(column => column.key === key && !column.required));
+    } catch (error) {
+        console.warn('Ignoring saved standings columns:', error);
+        return defaults;
+    }
+}
+
+/**
+ * Show or hide an optional column and remember the choice
+ * @param {string} key - Column key
+ * @param {boolean} visible - Whether the column should be shown
+ */
+function toggleStandingsColumn(key, visible) {
+    visibleStandingsColumns = visibleStandingsColumns.filter(columnKey => columnKey !== key);
+    if (visible) {
+        visibleStandingsColumns.push(key);
+    }
+    localStorage.setItem(STANDINGS_COLUMNS_KEY, JSON.stringify(visibleStandingsColumns));
+
+    // A hidden column can't stay the sort column
+    if (!visible && standingsSort.key === key) {
+        standingsSort = { key: 'position', direction: 'asc' };
+    }
+
+    renderStandingsHeader();
+    refreshStandingsView();
+}
+
+/**
+ * Render the driver standings header with sort buttons
+ */
+function renderStandingsHeader() {
+    const standingsHead = document.getElementById('standings-head');
+    if (!standingsHead) return;
+
+    render(standingsHead, html`
+        <tr>
+            ${getVisibleStandingsColumns().map(column => {
+                const isSorted = standingsSort.key === column.key;
+                const ariaSort = isSorted ? (standingsSort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+                const indicator = isSorted ? (standingsSort.direction === 'asc' ? '▲' : '▼') : '';
+
+                return html`
+                    <th ${column.width ? html`style="width: ${column.width};"` : ''} aria-sort="${ariaSort}">
+                        <button type="button" class="sort-header ${isSorted ? 'sorted' : ''}" data-sort-key="${column.key}">
+                            ${t(column.labelKey)}<span class="sort-indicator" aria-hidden="true">${indicator}</span>
+                        </button>
+                    </th>
+                `;
+            })}
+        </tr>
+    `);
+}
+
+/**
+ * Render the checkboxes of the column picker
+ */
+function renderColumnPicker() {
+    const options = document.getElementById('column-picker-options');
+    if (!options) return;
+
+    render(options, STANDINGS_COLUMNS
+        .filter(column => !column.required)
+        .map(column => html`
+            <label class="column-picker-option">
+                <input type="checkbox" value="${column.key}" ${visibleStandingsColumns.includes(column.key) ? 'checked' : ''}>
+                ${t(column.labelKey)}
+            </label>
+        `));
+}
+
+/**
+ * Render constructors standings table
+ * @param {array} constructors - Array of sorted constructor objects
+ */
+function renderConstructorsTable(constructors) {
+    const constructorsBody = document.getElementById('constructors-body');
+    if (!constructorsBody) return;
+
+    if (!constructors || constructors.length === 0) {
+        render(constructorsBody, html`<tr><td colspan="5" class="teams-loading">${t('teams.empty')}</td></tr>`);
+        return;
+    }
+
+    const rows = constructors.map(team => {
+        // Keep championship position when the table is filtered
+        const position = allConstructorsData.indexOf(team) + 1;
         let rankClass = '';
         if (position === 1) rankClass = 'podium-1';
         else if (position === 2) rankClass = 'podium-2';
         else if (position === 3) rankClass = 'podium-3';
 
-        return `
-            <tr>
+        return html`
+            <tr class="${isFavourite('team', team.id) ? 'is-favourite' : ''}" style="--team-color: ${team.teamColor}">
                 <td><span class="standings-rank ${rankClass}">${position}</span></td>
                 <td>
-                    <div class="driver-cell">
-                        <img src="${driver.image}" alt="${driver.name}" class="driver-photo" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 50 60%22><rect fill=%22%23666%22 width=%2250%22 height=%2260%22/></svg>'">
+                    <div class="team-cell">
+                        <img src="${team.logo}" alt="${t('common.logoAlt', { name: team.name })}" class="team-cell-logo" data-fallback="${TEAM_LOGO_PLACEHOLDER}">
                         <div class="driver-info">
-                            <h4>#${driver.number} ${driver.name}</h4>
-                            <p>${driver.nationality}</p>
+                            <span class="driver-info-name">${team.name}</span>
+                            <p>${team.driverNames.join(' / ')}</p>
                         </div>
+                        ${renderFavouriteToggle('team', team.id, team.name)}
                     </div>
                 </td>
                 <td>
-                    <span class="team-name">${driver.teamName}</span>
+                    <span class="points-cell">${formatNumber(team.points)}</span>
                 </td>
                 <td>
-                    <span class="points-cell">${driver.points || 0}</span>
+                    <span class="stats-cell">${formatNumber(team.wins)}</span>
                 </td>
                 <td>
-                    <span class="stats-cell">${driver.races || 0}</span>
-                </td>
-                <td>
-                    <span class="stats-cell">${driver.wins || 0}</span>
+                    <span class="stats-cell">${formatNumber(team.podiums)}</span>
                 </td>
             </tr>
         `;
-    }).join('');
+    });
 
-    standingsBody.innerHTML = rows;
+    render(constructorsBody, rows);
+}
+
+/**
+ * Switch between driver and constructor standings
+ * @param {string} view - 'drivers' or 'constructors'
+ */
+function switchStandingsView(view) {
+    if (view !== 'drivers' && view !== 'constructors') return;
+    currentView = view;
+
+    document.querySelectorAll('.standings-tab').forEach(tab => {
+        const isActive = tab.getAttribute('data-view') === view;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+
+    const driversTable = document.getElementById('standings-table');
+    const constructorsTable = document.getElementById('constructors-table');
+    if (driversTable) driversTable.classList.toggle('hidden', view !== 'drivers');
+    if (constructorsTable) constructorsTable.classList.toggle('hidden', view !== 'constructors');
+
+    // The column picker only applies to the driver standings
+    const columnPicker = document.getElementById('column-picker');
+    if (columnPicker) columnPicker.classList.toggle('hidden', view !== 'drivers');
 }
 
 /**
@@ -205,13 +624,14 @@ function renderStandingsTable(drivers) {
 function handleSearch(event) {
     const query = event.target.value.trim();
     console.log('Filtering standings:', query);
-
-    if (query === '') {
-        renderStandingsTable(allDriversData);
-    } else {
-        const filtered = filterStandings(query, allDriversData);
-        renderStandingsTable(filtered);
-    }
+    currentFilter = query;
+    refreshStandingsView();
+
+    // Announce the rows of the table on screen
+    const count = currentView === 'constructors'
+        ? filterConstructors(currentFilter, allConstructorsData).length
+        : filterStandings(currentFilter, allDriversData).length;
+    announce(t(currentView === 'constructors' ? 'teams.resultCount' : 'drivers.resultCount', { count, value: formatNumber(count) }));
 }
 
 /**
@@ -233,6 +653,25 @@ function filterStandings(query, drivers) {
     );
 }
 
+/**
+ * Filter constructors by search query (team name or one of its drivers)
+ * @param {string} query - Search query
+ * @param {array} constructors - Array of constructors
+ * @returns {array} - Filtered constructors
+ */
+function filterConstructors(query, constructors) {
+    if (!query || !constructors || !Array.isArray(constructors)) {
+        return constructors || [];
+    }
+
+    const lowerQuery = query.toLowerCase();
+    return constructors.filter(team =>
+        team.name.toLowerCase().includes(lowerQuery) ||
+        team.driverNames.some(name => name.toLowerCase().includes(lowerQuery)) ||
+        team.driverNumbers.some(number => number.toString().includes(query))
+    );
+}
+
 /**
  * Debounce function
  * @param {function} func - Function to debounce
@@ -254,7 +693,12 @@ function debounce(func, delay) {
 function renderErrorMessage(message) {
     const standingsBody = document.getElementById('standings-body');
     if (standingsBody) {
-        standingsBody.innerHTML = `<tr><td colspan="6" style="text-align: center; color: #FF1801; padding: 40px;">${message}</td></tr>`;
+        render(standingsBody, html`<tr><td colspan="${getVisibleStandingsColumns().length}" style="text-align: center; color: #FF1801; padding: 40px;">${message}</td></tr>`);
+    }
+
+    const constructorsBody = document.getElementById('constructors-body');
+    if (constructorsBody) {
+        render(constructorsBody, html`<tr><td colspan="5" style="text-align: center; color: #FF1801; padding: 40px;">${message}</td></tr>`);
     }
 }
 
@@ -0,0 +1,473 @@
+/**
+ * STORAGE.JS
+ * Async storage for teams, drivers and season results.
+ * Backed by IndexedDB, with a localStorage fallback for browsers without it.
+ */
+
+const STORAGE_DB_NAME = 'f1-portal';
+const STORAGE_DB_VERSION = 1;
+const STORAGE_STORES = ['seasons', 'teams', 'drivers', 'results'];
+
+// localStorage key prefix, shared with the caches of earlier releases
+const STORAGE_KEY_PREFIX = 'f1_teams_cache';
+const STORAGE_SEASON_KEY_PATTERN = /^f1_teams_cache_(\d{4})$/;
+
+let storageBackendPromise = null;
+
+/**
+ * Open the storage backend once per page and migrate the legacy cache into it
+ * @returns {Promise<object>} - IndexedDB backend, or the localStorage backend as a fallback
+ */
+function getStorage() {
+    if (!storageBackendPromise) {
+        storageBackendPromise = openIndexedDBBackend()
+            .catch(error => {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error.message);
+                return createLocalStorageBackend();
+            })
+            .then(async backend => {
+                await migrateLegacyCache(backend);
+                return backend;
+            });
+    }
+    return storageBackendPromise;
+}
+
+/**
+ * Save a season's teams and results, replacing what was stored before
+ * @param {number} season - Season year
+ * @param {object} entry - { version, savedAt, teams, results }
+ */
+async function saveStoredSeason(season, entry) {
+    const storage = await getStorage();
+    await storage.put(season, entry);
+}
+
+/**
+ * Load a stored season
+ * @param {number} season - Season year
+ * @returns {Promise<object|null>} - { version, savedAt, teams, results } or null
+ */
+async function loadStoredSeason(season) {
+    const storage = await getStorage();
+    return storage.get(season);
+}
+
+/**
+ * List the stored seasons without loading their data
+ * @returns {Promise<array>} - Array of { season, version, savedAt }
+ */
+async function listStoredSeasons() {
+    const storage = await getStorage();
+    return storage.list();
+}
+
+/**
+ * Delete a stored season
+ * @param {number} season - Season year
+ */
+async function deleteStoredSeason(season) {
+    const storage = await getStorage();
+    await storage.delete(season);
+}
+
+/**
+ * Get the stored teams of a season
+ * @param {number} season - Season year
+ * @returns {Promise<array>} - Array of team objects
+ */
+async function getStoredTeams(season) {
+    const storage = await getStorage();
+    return storage.teams(season);
+}
+
+/**
+ * Get one stored team
+ * @param {number} season - Season year
+ * @param {string} teamId - Team ID
+ * @returns {Promise<object|null>} - Team object or null
+ */
+async function getStoredTeam(season, teamId) {
+    const teams = await getStoredTeams(season);
+    return teams.find(team => team.id === teamId) || null;
+}
+
+/**
+ * Get the stored drivers of a season, optionally for one team
+ * @param {number} season - Season year
+ * @param {string} teamId - Optional team ID
+ * @returns {Promise<array>} - Array of driver objects with teamId
+ */
+async function getStoredDrivers(season, teamId = null) {
+    const storage = await getStorage();
+    return storage.drivers(season, teamId);
+}
+
+/**
+ * Get one stored driver
+ * @param {number} season - Season year
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<object|null>} - Driver object with teamId, or null
+ */
+async function getStoredDriver(season, driverId) {
+    const drivers = await getStoredDrivers(season);
+    return drivers.find(driver => driver.id === driverId) || null;
+}
+
+/**
+ * Get a stored season's per-round results
+ * @param {number} season - Season year
+ * @returns {Promise<object|null>} - Season object with rounds, or null
+ */
+async function getStoredSeasonResults(season) {
+    const entry = await loadStoredSeason(season);
+    return entry ? entry.results : null;
+}
+
+/**
+ * Get the stored results of a driver or team, one entry per classified result
+ * @param {number} season - Season year
+ * @param {object} filter - { driverId, teamId } (either or both)
+ * @returns {Promise<array>} - Results with round, name, date and sprint flag
+ */
+async function getStoredResults(season, filter = {}) {
+    const storage = await getStorage();
+    const rounds = await storage.results(season);
+
+    return rounds.flatMap(round => {
+        const entries = [
+            ...(round.sprintResults || []).map(result => ({ ...result, sprint: true })),
+            ...(round.results || []).map(result => ({ ...result, sprint: false }))
+        ];
+
+        return entries
+            .filter(result => !filter.driverId || result.driverId === filter.driverId)
+            .filter(result => !filter.teamId || result.teamId === filter.teamId)
+            .map(result => ({ round: round.round, name: round.name, date: round.date, ...result }));
+    });
+}
+
+/**
+ * Open the IndexedDB database, creating the stores on first use
+ * @returns {Promise<object>} - IndexedDB backend
+ */
+function openIndexedDBBackend() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('seasons', { keyPath: 'season' });
+
+            const teams = db.createObjectStore('teams', { keyPath: ['season', 'id'] });
+            teams.createIndex('season', 'season');
+
+            const drivers = db.createObjectStore('drivers', { keyPath: ['season', 'id'] });
+            drivers.createIndex('season', 'season');
+            drivers.createIndex('team', ['season', 'teamId']);
+
+            const results = db.createObjectStore('results', { keyPath: ['season', 'round'] });
+            results.createIndex('season', 'season');
+        };
+
+        request.onsuccess = () => resolve(createIndexedDBBackend(request.result));
+        request.onerror = () => reject(request.error || new Error('Failed to open IndexedDB'));
+    });
+}
+
+/**
+ * Create the IndexedDB backend.
+ * Seasons hold the cache metadata; teams, drivers and results are stored
+ * as one record each so they can be queried by season, team and driver.
+ * @param {IDBDatabase} db - Open database
+ * @returns {object} - Storage backend
+ */
+function createIndexedDBBackend(db) {
+    /**
+     * Queue deletes for every record of a season
+     * @param {IDBTransaction} transaction - Read-write transaction on all stores
+     * @param {number} season - Season year
+     */
+    function deleteSeasonRecords(transaction, season) {
+        // [season] sorts before every [season, key] and [season, []] after them
+        const range = IDBKeyRange.bound([season], [season, []]);
+        transaction.objectStore('seasons').delete(season);
+        transaction.objectStore('teams').delete(range);
+        transaction.objectStore('drivers').delete(range);
+        transaction.objectStore('results').delete(range);
+    }
+
+    return {
+        type: 'indexedDB',
+
+        async put(season, entry) {
+            const transaction = db.transaction(STORAGE_STORES, 'readwrite');
+            deleteSeasonRecords(transaction, season);
+
+            transaction.objectStore('seasons').put({
+                season,
+                version: entry.version,
+                savedAt: entry.savedAt,
+                hasResults: Boolean(entry.results),
+                pointsSystem: entry.results ? entry.results.pointsSystem || null : null
+            });
+
+            entry.teams.forEach((team, order) => {
+                transaction.objectStore('teams').put({ ...team, season, order });
+                (team.drivers || []).forEach(driver => {
+                    transaction.objectStore('drivers').put({ ...driver, season, teamId: team.id });
+                });
+            });
+
+            const rounds = entry.results ? entry.results.rounds || [] : [];
+            rounds.forEach(round => {
+                transaction.objectStore('results').put({ ...round, season });
+            });
+
+            await transactionDone(transaction);
+        },
+
+        async get(season) {
+            const transaction = db.transaction(STORAGE_STORES, 'readonly');
+            const [meta, teams, rounds] = await Promise.all([
+                requestToPromise(transaction.objectStore('seasons').get(season)),
+                requestToPromise(transaction.objectStore('teams').index('season').getAll(season)),
+                requestToPromise(transaction.objectStore('results').index('season').getAll(season))
+            ]);
+            if (!meta) return null;
+
+            return {
+                version: meta.version,
+                savedAt: meta.savedAt,
+                teams: sortStoredTeams(teams),
+                results: meta.hasResults
+                    ? { season, pointsSystem: meta.pointsSystem, rounds: sortStoredRounds(rounds) }
+                    : null
+            };
+        },
+
+        async delete(season) {
+            const transaction = db.transaction(STORAGE_STORES, 'readwrite');
+            deleteSeasonRecords(transaction, season);
+            await transactionDone(transaction);
+        },
+
+        async list() {
+            const transaction = db.transaction('seasons', 'readonly');
+            const seasons = await requestToPromise(transaction.objectStore('seasons').getAll());
+            return seasons.map(({ season, version, savedAt }) => ({ season, version, savedAt }));
+        },
+
+        async teams(season) {
+            const transaction = db.transaction('teams', 'readonly');
+            const teams = await requestToPromise(transaction.objectStore('teams').index('season').getAll(season));
+            return sortStoredTeams(teams);
+        },
+
+        async drivers(season, teamId) {
+            const transaction = db.transaction('drivers', 'readonly');
+            const store = transaction.objectStore('drivers');
+            const drivers = teamId
+                ? await requestToPromise(store.index('team').getAll([season, teamId]))
+                : await requestToPromise(store.index('season').getAll(season));
+            return drivers.map(({ season, ...driver }) => driver);
+        },
+
+        async results(season) {
+            const transaction = db.transaction('results', 'readonly');
+            const rounds = await requestToPromise(transaction.objectStore('results').index('season').getAll(season));
+            return sortStoredRounds(rounds);
+        }
+    };
+}
+
+/**
+ * Create the localStorage backend: one JSON entry per season
+ * @returns {object} - Storage backend
+ */
+function createLocalStorageBackend() {
+    const keyFor = season => `${STORAGE_KEY_PREFIX}_${season}`;
+
+    /**
+     * Read a season entry, dropping it when it cannot be parsed
+     * @param {number} season - Season year
+     * @returns {object|null} - Stored entry or null
+     */
+    function read(season) {
+        try {
+            const raw = localStorage.getItem(keyFor(season));
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            localStorage.removeItem(keyFor(season));
+            return null;
+        }
+    }
+
+    return {
+        type: 'localStorage',
+
+        async put(season, entry) {
+            localStorage.setItem(keyFor(season), JSON.stringify(entry));
+        },
+
+        async get(season) {
+            const entry = read(season);
+            return entry ? { results: null, ...entry } : null;
+        },
+
+        async delete(season) {
+            localStorage.removeItem(keyFor(season));
+        },
+
+        async list() {
+            return listLocalStorageKeys()
+                .map(key => key.match(STORAGE_SEASON_KEY_PATTERN))
+                .filter(Boolean)
+                .map(match => {
+                    const season = parseInt(match[1], 10);
+                    const entry = read(season) || {};
+                    return { season, version: entry.version, savedAt: entry.savedAt };
+                });
+        },
+
+        async teams(season) {
+            const entry = read(season);
+            return entry && Array.isArray(entry.teams) ? entry.teams : [];
+        },
+
+        async drivers(season, teamId) {
+            const teams = await this.teams(season);
+            return teams
+                .filter(team => !teamId || team.id === teamId)
+                .flatMap(team => (team.drivers || []).map(driver => ({ ...driver, teamId: team.id })));
+        },
+
+        async results(season) {
+            const entry = read(season);
+            return entry && entry.results ? entry.results.rounds || [] : [];
+        }
+    };
+}
+
+/**
+ * Move cache entries left in localStorage by earlier releases into the backend.
+ * The unversioned `f1_teams_cache` entry (current season, no results) becomes
+ * a stale entry saved at its old timestamp: it is shown once and refreshed in
+ * the background straight away. The per-season `f1_teams_cache_<season>`
+ * entries move when IndexedDB is used and keep their version, so outdated
+ * ones are purged as usual.
+ * @param {object} backend - Storage backend
+ */
+async function migrateLegacyCache(backend) {
+    try {
+        const legacyTeams = readLegacyJSON(STORAGE_KEY_PREFIX);
+        if (Array.isArray(legacyTeams) && !(await backend.get(CURRENT_SEASON))) {
+            const timestamp = parseInt(localStorage.getItem(`${STORAGE_KEY_PREFIX}_timestamp`), 10) || 0;
+            // Never fresh, whatever the timestamp says; past CACHE_MAX_AGE it is purged instead
+            const savedAt = Math.min(timestamp, Date.now() - CACHE_FRESH_DURATION - 1);
+            const { teams } = validateTeamsData(legacyTeams);
+            await backend.put(CURRENT_SEASON, { version: CACHE_VERSION, savedAt, teams, results: null });
+            console.log(`Migrated ${STORAGE_KEY_PREFIX} to ${backend.type} storage`);
+        }
+
+        for (const key of listLocalStorageKeys()) {
+            if (!key.startsWith(STORAGE_KEY_PREFIX)) continue;
+
+            const seasonMatch = key.match(STORAGE_SEASON_KEY_PATTERN);
+            if (seasonMatch) {
+                // Per-season entries are the localStorage backend's own format
+                if (backend.type === 'localStorage') continue;
+
+                const entry = readLegacyJSON(key);
+                if (entry && Array.isArray(entry.teams)) {
+                    await backend.put(parseInt(seasonMatch[1], 10), { results: null, ...entry });
+                    console.log(`Migrated ${key} to ${backend.type} storage`);
+                }
+            }
+            localStorage.removeItem(key);
+        }
+    } catch (error) {
+        console.warn('Failed to migrate the legacy team cache:', error);
+    }
+}
+
+/**
+ * Parse a localStorage entry
+ * @param {string} key - localStorage key
+ * @returns {*} - Parsed value, or null when missing or unreadable
+ */
+function readLegacyJSON(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * List every localStorage key
+ * @returns {array} - Array of keys (empty when localStorage is unavailable)
+ */
+function listLocalStorageKeys() {
+    try {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Restore the stored team order and drop the storage-only fields
+ * @param {array} teams - Team records from IndexedDB
+ * @returns {array} - Team objects
+ */
+function sortStoredTeams(teams) {
+    return teams
+        .sort((a, b) => a.order - b.order)
+        .map(({ season, order, ...team }) => team);
+}
+
+/**
+ * Sort rounds and drop the storage-only season field
+ * @param {array} rounds - Round records from IndexedDB
+ * @returns {array} - Round objects
+ */
+function sortStoredRounds(rounds) {
+    return rounds
+        .sort((a, b) => a.round - b.round)
+        .map(({ season, ...round }) => round);
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>} - Resolves on complete, rejects on error or abort
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
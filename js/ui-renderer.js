@@ -3,145 +3,270 @@
  * DOM rendering functions for the F1 Team Portal
  */
 
+// Shown in the team modal when a driver photo fails to load
+const DRIVER_IMAGE_PLACEHOLDER = svgDataUrl('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 150"><rect fill="#333" width="100" height="150"/><text x="50%" y="50%" font-size="20" fill="#999" text-anchor="middle" dominant-baseline="middle">Driver</text></svg>');
+
 /**
  * Render the teams grid
  * @param {array} teamsArray - Array of team objects
- * @returns {string} - HTML string for teams grid
+ * @returns {object} - Safe markup for the teams grid
  */
 function renderTeamsGrid(teamsArray) {
     if (!teamsArray || teamsArray.length === 0) {
-        return '<div class="teams-loading">No teams found.</div>';
+        return html`<div class="teams-loading">${t('teams.empty')}</div>`;
     }
 
-    return teamsArray.map(team => `
-        <div class="team-card" data-team-id="${team.id}" style="--team-color: ${team.accent_color}">
-            <img src="${team.logo}" alt="${team.name} logo" class="team-logo" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text x=%2250%25%22 y=%2250%25%22 font-size=%2220%22 fill=%22%23CCC%22 text-anchor=%22middle%22 dominant-baseline=%22middle%22>${team.name.charAt(0)}</text></svg>'">
+    return html`${teamsArray.map(team => html`
+        <div class="team-card" data-team-id="${team.id}" role="listitem" tabindex="-1" style="--team-color: ${team.accent_color}">
+            ${renderFavouriteToggle('team', team.id, team.name)}
+            <img src="${team.logo}" alt="${t('common.logoAlt', { name: team.name })}" class="team-logo" data-fallback="${getTeamLogoPlaceholder(team, 20)}">
             <h3 class="team-name">${team.name}</h3>
-            <p class="team-country">${team.country}</p>
-            <button class="view-details-button" onclick="openTeamModal('${team.id}')">View Details</button>
+            <p class="team-country">${formatCountry(team.country)}</p>
+            <button class="view-details-button">${t('common.viewDetails')}</button>
         </div>
-    `).join('');
+    `)}`;
+}
+
+/**
+ * Build the placeholder shown when a team logo fails to load
+ * @param {object} team - Team object
+ * @param {number} fontSize - Size of the initial in the 100x100 box
+ * @returns {string} - Image data URL with the team's initial
+ */
+function getTeamLogoPlaceholder(team, fontSize) {
+    return svgDataUrl(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text x="50%" y="50%" font-size="${fontSize}" fill="#CCC" text-anchor="middle" dominant-baseline="middle">${escapeHTML(team.name.charAt(0))}</text></svg>`);
 }
 
 /**
  * Render team details modal
  * @param {object} team - Team object
- * @returns {string} - HTML string for team details
+ * @returns {object} - Safe markup for the team details
  */
 function renderTeamDetails(team) {
     if (!team) {
-        return '<div>Team not found.</div>';
+        return html`<div>${t('teams.notFound')}</div>`;
     }
 
     const bannerId = team.id || 'team';
     const driversHTML = renderDriverCards(team.drivers || []);
 
-    return `
+    return html`
         <div style="--team-color: ${team.accent_color}">
         <div class="modal-banner" style="background: linear-gradient(135deg, ${team.accent_color}, rgba(255, 24, 1, 0.3));">
-            <img src="${team.logo}" alt="${team.name} logo" class="modal-banner-logo" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text x=%2250%25%22 y=%2250%25%22 font-size=%2240%22 fill=%22%23CCC%22 text-anchor=%22middle%22 dominant-baseline=%22middle%22>${team.name.charAt(0)}</text></svg>'">
-            <h2 class="modal-banner-title">${team.name}</h2>
+            <img src="${team.logo}" alt="${t('common.logoAlt', { name: team.name })}" class="modal-banner-logo" data-fallback="${getTeamLogoPlaceholder(team, 40)}">
+            <h2 class="modal-banner-title" id="modal-title">${team.name}</h2>
         </div>
 
         <div class="modal-grid">
             <!-- Left Column: Team Info -->
             <div class="modal-info-section">
+                ${team.seasonTotals ? html`
+                    <div class="modal-info-item">
+                        <span class="modal-info-label">${t('teams.modal.seasonPoints')}</span>
+                        <span class="modal-info-value">${formatNumber(team.seasonTotals.points)}</span>
+                    </div>
+                ` : ''}
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Team Principal</span>
-                    <span class="modal-info-value">${team.principal || 'N/A'}</span>
+                    <span class="modal-info-label">${t('teams.modal.principal')}</span>
+                    <span class="modal-info-value">${team.principal || t('common.notAvailable')}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Power Unit</span>
-                    <span class="modal-info-value">${team.powerUnit || 'N/A'}</span>
+                    <span class="modal-info-label">${t('teams.modal.powerUnit')}</span>
+                    <span class="modal-info-value">${team.powerUnit || t('common.notAvailable')}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Championships</span>
+                    <span class="modal-info-label">${t('teams.modal.championships')}</span>
                     <span class="modal-info-value">${formatNumber(team.championships || 0)}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Total Wins</span>
+                    <span class="modal-info-label">${t('teams.modal.totalWins')}</span>
                     <span class="modal-info-value">${formatNumber(team.wins || 0)}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Total Podiums</span>
+                    <span class="modal-info-label">${t('teams.modal.totalPodiums')}</span>
                     <span class="modal-info-value">${formatNumber(team.podiums || 0)}</span>
                 </div>
                 <div class="modal-info-item">
-                    <span class="modal-info-label">Founded</span>
-                    <span class="modal-info-value">${team.founded || 'N/A'}</span>
+                    <span class="modal-info-label">${t('teams.modal.founded')}</span>
+                    <span class="modal-info-value">${team.founded || t('common.notAvailable')}</span>
                 </div>
             </div>
 
             <!-- Right Column: Drivers -->
             <div class="modal-info-section">
                 <div class="drivers-container">
-                    ${driversHTML || '<p class="modal-info-label">Driver information coming soon</p>'}
+                    ${(team.drivers || []).length > 0 ? driversHTML : html`<p class="modal-info-label">${t('teams.modal.driversComingSoon')}</p>`}
                 </div>
             </div>
         </div>
 
+        <!-- Teammate Battle (filled in once the season results are loaded) -->
+        <div class="teammate-battle" id="teammate-battle">
+            <p class="modal-info-label">${t('teammateBattle.loading')}</p>
+        </div>
+
         <!-- Modal Footer -->
         <div class="modal-footer">
-            ${team.website && team.website !== '#' ? `
+            ${team.website && team.website !== '#' ? html`
                 <a href="${team.website}" target="_blank" rel="noopener noreferrer" class="modal-link-button" style="background-color: ${team.accent_color}">
-                    Official Website
+                    ${t('teams.modal.website')}
                 </a>
             ` : ''}
-            ${team.social?.twitter && team.social.twitter !== '#' ? `
+            ${team.social?.twitter && team.social.twitter !== '#' ? html`
                 <a href="${team.social.twitter}" target="_blank" rel="noopener noreferrer" class="modal-link-button" style="background-color: ${team.accent_color}">
-                    Follow on Twitter
+                    ${t('teams.modal.twitter')}
                 </a>
             ` : ''}
-            ${team.social?.instagram && team.social.instagram !== '#' ? `
+            ${team.social?.instagram && team.social.instagram !== '#' ? html`
                 <a href="${team.social.instagram}" target="_blank" rel="noopener noreferrer" class="modal-link-button" style="background-color: ${team.accent_color}">
-                    Follow on Instagram
+                    ${t('teams.modal.instagram')}
                 </a>
             ` : ''}
+            ${renderShareCardButton(team.accent_color)}
         </div>
         </div>
     `;
 }
 
+/**
+ * Render the teammate battle of a team
+ * @param {object|null} battle - Result of computeTeammateBattle()
+ * @param {string} accentColor - Team accent colour for the bars
+ * @returns {object} - Safe markup for the teammate battle section
+ */
+function renderTeammateBattle(battle, accentColor) {
+    if (!battle) {
+        return html`<p class="modal-info-label">${t('teammateBattle.needsTwoDrivers')}</p>`;
+    }
+
+    const [driverA, driverB] = battle.drivers;
+    const share = driver => (battle.teamPoints ? (driver.points / battle.teamPoints) * 100 : 0);
+
+    const rows = [
+        { label: t('teammateBattle.points'), values: [driverA.points, driverB.points], format: value => formatNumber(value) },
+        { label: t('teammateBattle.wins'), values: [driverA.wins, driverB.wins], format: value => formatNumber(value) },
+        { label: t('teammateBattle.pointsShare'), values: [share(driverA), share(driverB)], format: value => formatPercent(value) }
+    ];
+    if (battle.aheadCounts) {
+        rows.push({ label: t('teammateBattle.racesAhead'), values: battle.aheadCounts, format: value => formatNumber(value) });
+    }
+
+    return html`
+        <h3 class="teammate-battle-title">${t('teammateBattle.title')}</h3>
+        <div class="teammate-battle-names">
+            <span>${driverA.name}</span>
+            <span>${driverB.name}</span>
+        </div>
+        ${rows.map(row => {
+            const [valueA, valueB] = row.values;
+            const total = valueA + valueB;
+            const widthA = total ? (valueA / total) * 100 : 50;
+            const gap = Math.abs(valueA - valueB);
+            const leader = valueA === valueB ? t('teammateBattle.level') : `${(valueA > valueB ? driverA : driverB).name.split(' ').pop()} +${row.format(gap)}`;
+
+            return html`
+                <div class="teammate-battle-row">
+                    <div class="teammate-battle-label">
+                        <span>${row.label}</span>
+                        <span class="teammate-battle-gap">${leader}</span>
+                    </div>
+                    <div class="teammate-battle-values">
+                        <span>${row.format(valueA)}</span>
+                        <div class="teammate-battle-bar">
+                            <span style="width: ${widthA}%; background-color: ${accentColor}"></span>
+                            <span style="width: ${100 - widthA}%; background-color: ${accentColor}; opacity: 0.4"></span>
+                        </div>
+                        <span>${row.format(valueB)}</span>
+                    </div>
+                </div>
+            `;
+        })}
+        ${battle.others.length > 0 ? html`
+            <p class="teammate-battle-others">
+                ${t('teammateBattle.others', {
+                    drivers: battle.others.map(driver => t('teammateBattle.otherDriver', {
+                        name: driver.name,
+                        races: t('common.raceCount', { count: driver.races, value: formatNumber(driver.races) }),
+                        points: formatNumber(driver.points)
+                    })).join(', ')
+                })}
+            </p>
+        ` : ''}
+    `;
+}
+
+/**
+ * Render the "My Paddock" cards of the favourite teams and drivers
+ * @param {array} entries - Entries from computePaddockEntries()
+ * @returns {object} - Safe markup for the paddock grid
+ */
+function renderMyPaddock(entries) {
+    if (!entries || entries.length === 0) {
+        return html`<p class="paddock-empty">${t('paddock.empty')}</p>`;
+    }
+
+    return html`${entries.map(entry => {
+        let gapText = t('paddock.leader');
+        if (entry.gap === 0) {
+            gapText = t('paddock.level', { name: entry.aheadName });
+        } else if (entry.gap !== null) {
+            gapText = t('paddock.behind', { points: formatNumber(entry.gap), name: entry.aheadName });
+        }
+
+        return html`
+            <div class="paddock-card" style="--team-color: ${entry.color}">
+                <span class="paddock-position">P${entry.position}</span>
+                <div class="paddock-info">
+                    <span class="paddock-type">${entry.type === 'team' ? t('paddock.constructor') : t('paddock.driver')}</span>
+                    <h3 class="paddock-name">${entry.name}</h3>
+                    <p class="paddock-subtitle">${entry.subtitle}</p>
+                </div>
+                <div class="paddock-points">
+                    <strong>${formatNumber(entry.points)}</strong> ${t('common.pts')}
+                    <span class="paddock-gap">${gapText}</span>
+                </div>
+                ${renderFavouriteToggle(entry.type, entry.id, entry.name)}
+            </div>
+        `;
+    })}`;
+}
+
 /**
  * Render driver cards
  * @param {array} drivers - Array of driver objects
- * @returns {string} - HTML string for driver cards
+ * @returns {object} - Safe markup for the driver cards
  */
 function renderDriverCards(drivers) {
-    if (!drivers || drivers.length === 0) {
-        return '';
-    }
-
-    return drivers.map(driver => renderDriverCard(driver)).join('');
+    return html`${(drivers || []).map(driver => renderDriverCard(driver))}`;
 }
 
 /**
  * Render a single driver card
  * @param {object} driver - Driver object
- * @returns {string} - HTML string for driver card
+ * @returns {object} - Safe markup for the driver card
  */
 function renderDriverCard(driver) {
-    if (!driver) return '';
+    if (!driver) return html``;
 
-    return `
+    return html`
         <div class="driver-card">
-            <img src="${driver.image}" alt="${driver.name}" class="driver-image" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 150%22><rect fill=%22%23333%22 width=%22100%22 height=%22150%22/><text x=%2250%25%22 y=%2250%25%22 font-size=%2220%22 fill=%22%23999%22 text-anchor=%22middle%22 dominant-baseline=%22middle%22>Driver</text></svg>'">
+            <img src="${driver.image}" alt="${driver.name}" class="driver-image" data-fallback="${DRIVER_IMAGE_PLACEHOLDER}">
             <div class="driver-details">
                 <div class="driver-number">#${driver.number}</div>
                 <div class="driver-name">${driver.name}</div>
-                <div class="driver-nationality">${driver.nationality}</div>
+                <div class="driver-nationality">${formatNationality(driver.nationality)}</div>
                 <div class="driver-stats">
                     <div class="driver-stat">
-                        <span class="driver-stat-label">Points</span>
-                        <span class="driver-stat-value">${driver.points || 0}</span>
+                        <span class="driver-stat-label">${t('teams.modal.driverPoints')}</span>
+                        <span class="driver-stat-value">${formatNumber(driver.points)}</span>
                     </div>
                     <div class="driver-stat">
-                        <span class="driver-stat-label">Races</span>
-                        <span class="driver-stat-value">${driver.races || 0}</span>
+                        <span class="driver-stat-label">${t('teams.modal.driverRaces')}</span>
+                        <span class="driver-stat-value">${formatNumber(driver.races)}</span>
                     </div>
                     <div class="driver-stat">
-                        <span class="driver-stat-label">Wins</span>
-                        <span class="driver-stat-value">${driver.wins || 0}</span>
+                        <span class="driver-stat-label">${t('teams.modal.driverWins')}</span>
+                        <span class="driver-stat-value">${formatNumber(driver.wins)}</span>
                     </div>
                 </div>
             </div>
@@ -150,25 +275,12 @@ function renderDriverCard(driver) {
 }
 
 /**
- * Format number with thousand separators
- * @param {number} num - Number to format
- * @returns {string} - Formatted number
- */
-function formatNumber(num) {
-    if (!num) return '0';
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
-
-/**
- * Inject HTML into element
+ * Inject markup into element
  * @param {string} elementId - Element ID
- * @param {string} html - HTML string to inject
+ * @param {object} markup - Safe markup from html``
  */
-function injectHTML(elementId, html) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        element.innerHTML = html;
-    }
+function injectHTML(elementId, markup) {
+    render(document.getElementById(elementId), markup);
 }
 
 /**
@@ -268,7 +380,7 @@ function setStyle(elementId, property, value) {
  * @param {string} eventType - Event type (e.g., 'click')
  * @param {function} handler - Event handler function
  */
-function addEventListener(elementId, eventType, handler) {
+function addElementListener(elementId, eventType, handler) {
     const element = document.getElementById(elementId);
     if (element) {
         element.addEventListener(eventType, handler);
@@ -281,7 +393,7 @@ function addEventListener(elementId, eventType, handler) {
  * @param {string} eventType - Event type
  * @param {function} handler - Event handler function
  */
-function removeEventListener(elementId, eventType, handler) {
+function removeElementListener(elementId, eventType, handler) {
     const element = document.getElementById(elementId);
     if (element) {
         element.removeEventListener(eventType, handler);
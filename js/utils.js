@@ -13,6 +13,22 @@ function getQueryParam(paramName) {
     return urlParams.get(paramName);
 }
 
+/**
+ * Build the current page URL with a query parameter set or removed
+ * @param {string} paramName - The parameter name
+ * @param {string|null} value - The new value, or null to remove the parameter
+ * @returns {URL} - The updated URL
+ */
+function getUrlWithQueryParam(paramName, value) {
+    const url = new URL(window.location.href);
+    if (value === null || value === undefined || value === '') {
+        url.searchParams.delete(paramName);
+    } else {
+        url.searchParams.set(paramName, value);
+    }
+    return url;
+}
+
 /**
  * Smooth scroll to an element
  * @param {string} elementId - The ID of the element to scroll to
@@ -25,13 +41,41 @@ function scrollToElement(elementId) {
 }
 
 /**
- * Format number with thousand separators
+ * Get the locale used for formatting (the page's lang attribute, set by i18n.js)
+ * @returns {string} - BCP 47 locale, e.g. 'nl'
+ */
+function getDocumentLocale() {
+    return (typeof document !== 'undefined' && document.documentElement.lang) || 'en';
+}
+
+/**
+ * Format number with the locale's grouping and decimal separators
  * @param {number} num - The number to format
+ * @param {object} options - Intl.NumberFormat options
  * @returns {string} - Formatted number string
  */
-function formatNumber(num) {
-    if (!num) return '0';
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+function formatNumber(num, options = {}) {
+    return new Intl.NumberFormat(getDocumentLocale(), options).format(num || 0);
+}
+
+/**
+ * Format a number with a fixed number of decimals
+ * @param {number} num - The number to format
+ * @param {number} digits - Number of decimals
+ * @returns {string} - Formatted number string, e.g. "12,5" in Spanish
+ */
+function formatDecimal(num, digits = 1) {
+    return formatNumber(num, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Format a percentage
+ * @param {number} value - Percentage from 0 to 100
+ * @param {number} digits - Number of decimals
+ * @returns {string} - Formatted percentage, e.g. "12.5%" or "12,5 %"
+ */
+function formatPercent(value, digits = 1) {
+    return formatNumber((value || 0) / 100, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits });
 }
 
 /**
@@ -107,7 +151,7 @@ function parseErgastData(apiResponse) {
     return apiResponse.MRData.TeamTable.Teams.map(team => ({
         id: getTeamId(team.name),
         name: team.name,
-        country: team.nationality,
+        country: toCountryCode(team.nationality) || '',
         founded: parseInt(team.established) || new Date().getFullYear(),
         principal: 'Team Principal',
         powerUnit: team.constructor || 'Unknown',
@@ -153,8 +197,7 @@ function emojiToHTML(emoji) {
  * @returns {string} - The day name
  */
 function getDayName(date) {
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    return days[date.getDay()];
+    return date.toLocaleDateString(getDocumentLocale(), { weekday: 'long' });
 }
 
 /**
@@ -164,21 +207,28 @@ function getDayName(date) {
  */
 function formatDate(date) {
     const options = { year: 'numeric', month: 'short', day: 'numeric' };
-    return date.toLocaleDateString('en-US', options);
-}
-
-export {
-    getQueryParam,
-    scrollToElement,
-    formatNumber,
-    debounce,
-    getTeamAccentColor,
-    getTeamId,
-    isCacheValid,
-    parseErgastData,
-    getCSSVariable,
-    setCSSVariable,
-    emojiToHTML,
-    getDayName,
-    formatDate
-};
+    return new Intl.DateTimeFormat(getDocumentLocale(), options).format(date);
+}
+
+// Expose the helpers to Node scripts; in the browser they are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getQueryParam,
+        getUrlWithQueryParam,
+        scrollToElement,
+        getDocumentLocale,
+        formatNumber,
+        formatDecimal,
+        formatPercent,
+        debounce,
+        getTeamAccentColor,
+        getTeamId,
+        isCacheValid,
+        parseErgastData,
+        getCSSVariable,
+        setCSSVariable,
+        emojiToHTML,
+        getDayName,
+        formatDate
+    };
+}
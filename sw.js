@@ -0,0 +1,212 @@
+/**
+ * SW.JS
+ * Service worker: precaches the portal's pages and assets, loads pages,
+ * code and data network-first with a cache fallback so the portal works
+ * offline, and serves images from cache while refreshing them in the background
+ */
+
+importScripts('js/config.js');
+
+// Bump the version to drop the caches of an earlier release
+// (and whenever PRECACHE_URLS changes)
+const STATIC_CACHE = 'f1-portal-static-v2';
+const DATA_CACHE = 'f1-portal-data-v2';
+
+// Pages, scripts, styles and locale packs share globals and keys, so they
+// have to come from the same release: they are loaded network-first
+const CODE_PATH_PATTERN = /(?:\/|\.html|\.js|\.css|\.json|\.webmanifest)$/;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'drivers.html',
+    'standings.html',
+    'contact.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/utils.js',
+    'js/html.js',
+    'js/config.js',
+    'js/i18n.js',
+    'js/countries.js',
+    'js/accessibility.js',
+    'js/providers.js',
+    'js/data-merge.js',
+    'js/data-validator.js',
+    'js/storage.js',
+    'js/data-fetcher.js',
+    'js/season-picker.js',
+    'js/offline.js',
+    'js/favourites.js',
+    'js/export.js',
+    'js/share-card.js',
+    'js/ui-renderer.js',
+    'js/global-search.js',
+    'js/driver-compare.js',
+    'js/driver-filters.js',
+    'js/points-chart.js',
+    'js/scenario-calculator.js',
+    'js/main.js',
+    'js/drivers.js',
+    'js/standings.js',
+    'js/contact.js',
+    'locales/en.json',
+    'locales/es.json',
+    'locales/it.json',
+    'locales/nl.json',
+    'data/teams.json',
+    'data/seasons/2025.json',
+    'images/logos/f1-logo.svg',
+    'images/logos/alfa-romeo.svg',
+    'images/logos/alpha-tauri.svg',
+    'images/logos/alpine.svg',
+    'images/logos/aston-martin.svg',
+    'images/logos/ferrari.svg',
+    'images/logos/haas.svg',
+    'images/logos/mclaren.svg',
+    'images/logos/mercedes.svg',
+    'images/logos/red-bull.svg',
+    'images/logos/williams.svg',
+    'images/drivers/albon.svg',
+    'images/drivers/alonso.svg',
+    'images/drivers/antonelli.svg',
+    'images/drivers/bearman.svg',
+    'images/drivers/bortoleto.svg',
+    'images/drivers/colapinto.svg',
+    'images/drivers/gasly.svg',
+    'images/drivers/hadjar.svg',
+    'images/drivers/hamilton.svg',
+    'images/drivers/hulkenberg.svg',
+    'images/drivers/lawson.svg',
+    'images/drivers/leclerc.svg',
+    'images/drivers/norris.svg',
+    'images/drivers/ocon.svg',
+    'images/drivers/piastri.svg',
+    'images/drivers/russell.svg',
+    'images/drivers/sainz.svg',
+    'images/drivers/stroll.svg',
+    'images/drivers/tsunoda.svg',
+    'images/drivers/verstappen.svg'
+];
+
+// Live data APIs from config.js, served network-first like the local data files
+const DATA_ORIGINS = [DATA_PROVIDER_CONFIG.ergast.baseUrl, DATA_PROVIDER_CONFIG.openf1.baseUrl]
+    .map(url => new URL(url).origin);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== STATIC_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (isDataRequest(url)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (url.origin === self.location.origin && isCodeRequest(request, url)) {
+        event.respondWith(networkFirst(request, STATIC_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Check whether a request loads F1 data rather than a page asset
+ * @param {URL} url - Request URL
+ * @returns {boolean} - True for the local data files and the live data APIs
+ */
+function isDataRequest(url) {
+    if (DATA_ORIGINS.includes(url.origin)) return true;
+
+    const dataPath = new URL('data/', self.registration.scope).pathname;
+    return url.origin === self.location.origin && url.pathname.startsWith(dataPath);
+}
+
+/**
+ * Check whether a request loads a page or code rather than an image
+ * @param {Request} request - Same-origin request
+ * @param {URL} url - Request URL
+ * @returns {boolean} - True for pages, scripts, styles, locale packs and the manifest
+ */
+function isCodeRequest(request, url) {
+    return request.mode === 'navigate' || CODE_PATH_PATTERN.test(url.pathname);
+}
+
+/**
+ * Fetch from the network and keep a copy; fall back to the cached copy offline
+ * @param {Request} request - Data, page or code request
+ * @param {string} cacheName - Cache that keeps the copy
+ * @returns {Promise<Response>} - Network or cached response
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    // Pages are cached without their query string (?season=, ?team=, ...)
+    const isNavigation = request.mode === 'navigate';
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(isNavigation ? stripSearch(request.url) : request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Also look in the precache, which holds the pages and the curated data files
+        const cached = await caches.match(request, { ignoreSearch: isNavigation });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache straight away and refresh the cached copy in the background
+ * @param {Request} request - Image or other asset request
+ * @returns {Promise<Response>} - Cached or network response
+ */
+async function staleWhileRevalidate(request) {
+    const cached = await caches.match(request);
+
+    const refresh = fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                const cache = await caches.open(STATIC_CACHE);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        refresh.catch(() => {
+            // Offline: the cached copy is all there is
+        });
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Remove the query string from a URL
+ * @param {string} url - Absolute URL
+ * @returns {string} - URL without its search part
+ */
+function stripSearch(url) {
+    const stripped = new URL(url);
+    stripped.search = '';
+    return stripped.href;
+}
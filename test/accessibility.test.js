@@ -0,0 +1,115 @@
+/**
+ * ACCESSIBILITY.TEST.JS
+ * Runs axe-core over the pages as they render in jsdom (with the detail
+ * modal open where there is one) and drives the dialog focus trap and the
+ * card grid keyboard navigation from js/accessibility.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+const { loadPage, wait } = require('./load-page.js');
+
+/**
+ * Press a key on an element
+ * @param {HTMLElement} element - Element receiving the keydown
+ * @param {string} key - KeyboardEvent key
+ * @param {object} options - Extra event options, e.g. { shiftKey: true }
+ */
+function press(element, key, options = {}) {
+    const { KeyboardEvent } = element.ownerDocument.defaultView;
+    element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+/**
+ * Run axe over a loaded page
+ * @param {Window} window - jsdom window
+ * @returns {Promise<array>} - Violations as "rule: selectors" strings
+ */
+async function runAxe(window) {
+    window.eval(axe.source);
+    const { violations } = await window.axe.run(window.document);
+    // Array.from: results built in the page's realm would never deepEqual a Node array
+    return Array.from(violations, violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+for (const page of ['index.html', 'drivers.html']) {
+    test(`axe: ${page} has no violations with the detail modal open`, async () => {
+        const { window, document, errors } = await loadPage(page);
+        document.querySelector('.team-card .view-details-button').click();
+        await wait(100);
+
+        assert.ok(document.getElementById('modal-overlay').classList.contains('active'));
+        assert.deepEqual(await runAxe(window), []);
+        assert.deepEqual(errors, []);
+        window.close();
+    });
+}
+
+for (const page of ['standings.html', 'contact.html']) {
+    test(`axe: ${page} has no violations`, async () => {
+        const { window, errors } = await loadPage(page);
+
+        assert.deepEqual(await runAxe(window), []);
+        assert.deepEqual(errors, []);
+        window.close();
+    });
+}
+
+test('grid: arrow keys, Home and End move between cards and Enter opens the dialog', async () => {
+    const { window, document } = await loadPage('index.html');
+    const cards = [...document.querySelectorAll('#teams-grid .team-card')];
+    assert.ok(cards.length > 2);
+
+    // The grid is a single Tab stop
+    assert.deepEqual(cards.map(card => card.tabIndex), cards.map((card, index) => (index === 0 ? 0 : -1)));
+
+    cards[0].focus();
+    press(cards[0], 'ArrowRight');
+    assert.equal(document.activeElement, cards[1]);
+    assert.equal(cards[1].tabIndex, 0);
+    assert.equal(cards[0].tabIndex, -1);
+
+    press(cards[1], 'End');
+    assert.equal(document.activeElement, cards[cards.length - 1]);
+
+    press(document.activeElement, 'Home');
+    assert.equal(document.activeElement, cards[0]);
+
+    press(cards[0], 'Enter');
+    await wait(100);
+    const dialog = document.querySelector('#modal-overlay [role="dialog"]');
+    assert.ok(document.getElementById('modal-overlay').classList.contains('active'));
+    assert.ok(dialog.contains(document.activeElement));
+    window.close();
+});
+
+test('dialog: Tab wraps inside the dialog and Escape returns focus to the opener', async () => {
+    const { window, document } = await loadPage('drivers.html');
+    const overlay = document.getElementById('modal-overlay');
+    const card = document.querySelector('#drivers-grid .team-card');
+
+    card.focus();
+    press(card, 'Enter');
+    await wait(100);
+    assert.ok(overlay.classList.contains('active'));
+
+    const focusable = [...overlay.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])')];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    assert.notEqual(first, last);
+
+    last.focus();
+    press(last, 'Tab');
+    assert.equal(document.activeElement, first);
+
+    press(first, 'Tab', { shiftKey: true });
+    assert.equal(document.activeElement, last);
+
+    // Escape steps back over the modal's history entry; popstate hides it
+    press(last, 'Escape');
+    await wait(100);
+    assert.ok(!overlay.classList.contains('active'));
+    assert.equal(document.activeElement, card);
+    window.close();
+});
@@ -0,0 +1,182 @@
+/**
+ * DATA-FETCHER.TEST.JS
+ * Checks the driver and team totals computed from per-round season results,
+ * the live driver stats attached from the data provider and the cache refresh
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { replayFetch } = require('./replay-fetch.js');
+const { loadPage, wait } = require('./load-page.js');
+
+// The fetcher uses the provider, merge and country helpers as browser globals
+Object.assign(global, require('../js/countries.js'), require('../js/providers.js'), require('../js/data-merge.js'));
+const { attachDriverData, computeSeasonTotals, applySeasonTotals, extractAndSortDrivers, extractAndSortConstructors } = require('../js/data-fetcher.js');
+
+const ERGAST_BASE_URL = 'https://ergast.test/f1';
+
+const TEAMS = [
+    {
+        id: 'red-bull',
+        name: 'Red Bull Racing',
+        aliases: ['red_bull'],
+        drivers: [
+            { id: 'verstappen', name: 'Max Verstappen', aliases: ['max_verstappen'], points: 999, races: 99, wins: 99 },
+            { id: 'tsunoda', name: 'Yuki Tsunoda' }
+        ]
+    },
+    {
+        id: 'mclaren',
+        name: 'McLaren',
+        drivers: [{ id: 'norris', name: 'Lando Norris' }, { id: 'piastri', name: 'Oscar Piastri' }]
+    }
+];
+
+const SEASON = {
+    season: 2025,
+    rounds: [
+        {
+            round: 1,
+            sprint: true,
+            sprintResults: [
+                { position: 1, driverId: 'max_verstappen', teamId: 'red_bull', status: 'Finished', points: 8 },
+                { position: 2, driverId: 'norris', teamId: 'mclaren', status: 'Finished', points: 7 }
+            ],
+            results: [
+                { position: 1, driverId: 'max_verstappen', teamId: 'red_bull', status: 'Finished', points: 25, fastestLap: true },
+                { position: 2, driverId: 'lawson', teamId: 'red-bull', status: 'Finished', points: 18, fastestLap: false },
+                { position: 3, driverId: 'norris', teamId: 'mclaren', status: 'Finished', points: 15, fastestLap: false },
+                { position: 4, driverId: 'piastri', teamId: 'mclaren', status: 'DNS', points: 0, fastestLap: false }
+            ]
+        },
+        {
+            round: 2,
+            sprint: false,
+            results: [
+                { position: 1, driverId: 'norris', teamId: 'mclaren', status: 'Finished', points: 25, fastestLap: false },
+                { position: 2, driverId: 'verstappen', teamId: 'red-bull', status: 'DNF', points: 0, fastestLap: false },
+                { position: 3, driverId: 'piastri', teamId: 'mclaren', status: 'DSQ', points: 0, fastestLap: false }
+            ]
+        },
+        { round: 3, sprint: false }
+    ]
+};
+
+test('computeSeasonTotals: adds up races, sprints, wins and podiums by canonical ID', () => {
+    const totals = computeSeasonTotals(SEASON, TEAMS);
+
+    assert.deepEqual(totals.drivers.verstappen, { points: 33, races: 2, wins: 1, podiums: 1, fastestLaps: 1 });
+    assert.deepEqual(totals.drivers.norris, { points: 47, races: 2, wins: 1, podiums: 2, fastestLaps: 0 });
+    // A DNS is not a start, a disqualification is
+    assert.deepEqual(totals.drivers.piastri, { points: 0, races: 1, wins: 0, podiums: 0, fastestLaps: 0 });
+    assert.deepEqual(totals.teams['red-bull'], { points: 51, wins: 1, podiums: 2 });
+    assert.deepEqual(totals.teams.mclaren, { points: 47, wins: 1, podiums: 2 });
+    assert.equal(totals.drivers.max_verstappen, undefined);
+});
+
+test('applySeasonTotals: replaces typed driver stats and keeps points of drivers who left', () => {
+    const [redBull, mclaren] = applySeasonTotals(TEAMS, SEASON);
+
+    assert.deepEqual(redBull.drivers.map(driver => [driver.id, driver.points, driver.races, driver.wins]), [
+        ['verstappen', 33, 2, 1],
+        ['tsunoda', 0, 0, 0]
+    ]);
+    // Lawson's 18 points still count for the team
+    assert.deepEqual(redBull.seasonTotals, { points: 51, wins: 1, podiums: 2 });
+    assert.equal(mclaren.drivers[0].podiums, 2);
+    assert.deepEqual(extractAndSortConstructors([redBull, mclaren]).map(team => [team.id, team.points, team.podiums]), [
+        ['red-bull', 51, 2],
+        ['mclaren', 47, 2]
+    ]);
+});
+
+test('applySeasonTotals: the shipped 2025 data adds up to the final standings', () => {
+    const { teams } = require('../data/teams.json');
+    const season = require('../data/seasons/2025.json');
+    const teamsWithTotals = applySeasonTotals(teams, season);
+
+    assert.deepEqual(extractAndSortDrivers(teamsWithTotals).slice(0, 3).map(driver => [driver.id, driver.points, driver.wins, driver.races]), [
+        ['norris', 423, 7, 24],
+        ['verstappen', 421, 8, 24],
+        ['piastri', 410, 7, 24]
+    ]);
+
+    const constructors = extractAndSortConstructors(teamsWithTotals);
+    assert.deepEqual(constructors[0], { ...constructors[0], id: 'mclaren', points: 833, wins: 14, podiums: 34 });
+    assert.ok(constructors.slice(0, 4).every(team => team.podiums > 0));
+});
+
+test('attachDriverData: live driver standings win over curated driver stats', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    global.DATA_PROVIDER_CONFIG = {
+        provider: 'ergast',
+        ergast: { baseUrl: ERGAST_BASE_URL, pageSize: 100, fetchJSON: replayFetch('ergast-2025.json', ERGAST_BASE_URL) }
+    };
+
+    const curatedTeams = [
+        {
+            id: 'mclaren',
+            name: 'McLaren',
+            drivers: [
+                { id: 'norris', name: 'Lando Norris', number: '4', image: '/images/drivers/norris.svg', points: 357, wins: 7 },
+                { id: 'piastri', name: 'Oscar Piastri', number: '81', image: '/images/drivers/piastri.svg', points: 356, wins: 6 }
+            ]
+        },
+        {
+            id: 'red-bull',
+            name: 'Red Bull Racing',
+            aliases: ['red_bull'],
+            drivers: [{ id: 'verstappen', name: 'Max Verstappen', number: '1', image: '/images/drivers/verstappen.svg', points: 321, wins: 6 }]
+        }
+    ];
+
+    const teams = await attachDriverData(curatedTeams, 2025);
+    const stats = teams.map(team => team.drivers.map(driver => [driver.id, driver.points, driver.wins, driver.image]));
+
+    assert.deepEqual(stats, [
+        [['piastri', 58, 1, '/images/drivers/piastri.svg'], ['norris', 0, 0, '/images/drivers/norris.svg']],
+        [['verstappen', 50, 1, '/images/drivers/verstappen.svg']]
+    ]);
+    // The overridden curated stats are reported
+    const reported = warn.mock.calls.map(call => call.arguments[0]).join('\n');
+    assert.match(reported, /piastri\.points: API has "58", curated file has "356" \(kept API\)/);
+    assert.match(reported, /verstappen\.wins: API has "1", curated file has "6" \(kept API\)/);
+});
+
+test('fetchTeamsData: a failed background refresh keeps the cached teams', async () => {
+    const { window } = await loadPage('index.html');
+    const { localStorage } = window;
+    const entry = JSON.parse(localStorage.getItem('f1_teams_cache_2025'));
+    localStorage.setItem('f1_teams_cache_2025', JSON.stringify({ ...entry, savedAt: Date.now() - 2 * 60 * 60 * 1000 }));
+
+    const logged = [];
+    window.console.error = (...args) => logged.push(args.join(' '));
+    window.loadFreshTeams = async () => {
+        throw new Error('Provider offline');
+    };
+
+    let refreshed = false;
+    const teams = await window.fetchTeamsData(2025, () => {
+        refreshed = true;
+    });
+    await wait(50);
+
+    assert.equal(teams.length, entry.teams.length);
+    assert.equal(refreshed, false);
+    assert.match(logged.join('\n'), /Background refresh of 2025 team data failed: Error: Provider offline/);
+    window.close();
+});
+
+test('loadFreshTeams: teams are cached without totals when the season results are unavailable', async t => {
+    const { window } = await loadPage('index.html');
+    t.mock.method(window.console, 'warn', () => {});
+    window.localStorage.removeItem('f1_teams_cache_2025');
+    window.fetchSeasonResults = async () => null;
+
+    const teams = await window.loadFreshTeams(2025);
+    const entry = JSON.parse(window.localStorage.getItem('f1_teams_cache_2025'));
+
+    assert.ok(teams.length > 0);
+    assert.deepEqual([entry.teams.length, entry.results], [teams.length, null]);
+    window.close();
+});
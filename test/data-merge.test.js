@@ -0,0 +1,114 @@
+/**
+ * DATA-MERGE.TEST.JS
+ * Checks how API teams and drivers are matched to the curated file,
+ * which side wins and which differences are reported
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The merge uses the slug and team colour helpers as browser globals
+Object.assign(global, require('../js/providers.js'), require('../js/data-fetcher.js'));
+const { buildAliasIndex, resolveAlias, mergeTeamsWithCurated } = require('../js/data-merge.js');
+
+const CURATED_TEAMS = [
+    {
+        id: 'stake',
+        aliases: ['sauber', 'kick-sauber'],
+        name: 'Kick Sauber',
+        logo: '/images/logos/alfa-romeo.svg',
+        country: 'CH',
+        principal: 'Jonathan Wheatley',
+        founded: 1993,
+        drivers: [
+            { id: 'hulkenberg', name: 'Nico Hulkenberg', number: '27', nationality: 'DE', image: '/images/drivers/hulkenberg.svg' }
+        ]
+    },
+    {
+        id: 'red-bull',
+        name: 'Red Bull Racing',
+        logo: '/images/logos/red-bull.svg',
+        country: 'AT',
+        drivers: [
+            { id: 'verstappen', name: 'Max Verstappen', aliases: ['max_verstappen'], number: '1', nationality: 'NL', image: '/images/drivers/verstappen.svg' }
+        ]
+    },
+    { id: 'alpine', name: 'Alpine', country: 'FR', drivers: [] }
+];
+
+/**
+ * Build an API team the way the adapters do
+ * @param {object} fields - Fields set by the provider
+ * @returns {object} - Team with the adapter's empty fields
+ */
+function apiTeam(fields) {
+    return { logo: null, country: '', founded: null, principal: null, website: null, social: {}, drivers: [], ...fields };
+}
+
+test('buildAliasIndex: resolves IDs, names and aliases compared as slugs', () => {
+    const index = buildAliasIndex(CURATED_TEAMS);
+
+    assert.equal(resolveAlias(index, 'sauber'), 'stake');
+    assert.equal(resolveAlias(index, 'Kick Sauber'), 'stake');
+    assert.equal(resolveAlias(index, 'red_bull'), 'red-bull');
+    assert.equal(resolveAlias(index, 'Red Bull Racing'), 'red-bull');
+    assert.equal(resolveAlias(index, 'mclaren'), null);
+    assert.equal(resolveAlias(index, ''), null);
+});
+
+test('mergeTeamsWithCurated: API values win and the curated file fills empty fields', () => {
+    const { teams, conflicts } = mergeTeamsWithCurated([
+        apiTeam({ id: 'sauber', name: 'Sauber', country: 'CH', principal: '' }),
+        apiTeam({ id: 'red_bull', name: 'Red Bull', country: 'AT' })
+    ], CURATED_TEAMS);
+
+    const [stake, redBull] = teams;
+    assert.deepEqual(
+        [stake.id, stake.name, stake.principal, stake.founded, stake.logo],
+        ['stake', 'Sauber', 'Jonathan Wheatley', 1993, '/images/logos/alfa-romeo.svg']
+    );
+    assert.deepEqual([redBull.id, redBull.name], ['red-bull', 'Red Bull']);
+    // The curated line-up stays when the API has none
+    assert.deepEqual(redBull.drivers.map(driver => driver.id), ['verstappen']);
+
+    assert.deepEqual(conflicts.map(conflict => [conflict.type, conflict.id, conflict.field, conflict.kept]), [
+        ['conflict', 'stake', 'name', 'api'],
+        ['conflict', 'red-bull', 'name', 'api'],
+        ['missing', 'alpine', undefined, undefined]
+    ]);
+    assert.match(conflicts[0].message, /API has "Sauber", curated file has "Kick Sauber" \(kept API\)/);
+});
+
+test('mergeTeamsWithCurated: every differing driver field is reported, stats included', () => {
+    const { teams, conflicts } = mergeTeamsWithCurated([
+        apiTeam({
+            id: 'red_bull',
+            name: 'Red Bull Racing',
+            drivers: [
+                { id: 'max_verstappen', name: 'Max Verstappen', number: '33', nationality: 'NL', image: '/images/drivers/max_verstappen.svg', points: 421, wins: 8 }
+            ]
+        }),
+        apiTeam({ id: 'kick-sauber', name: 'Kick Sauber', drivers: [{ id: 'hulkenberg', name: 'Nico Hulkenberg', number: 27, points: 51 }] }),
+        apiTeam({ id: 'cadillac', name: 'Cadillac' })
+    ], CURATED_TEAMS.map(team => (team.id === 'red-bull' ? { ...team, drivers: [{ ...team.drivers[0], points: 300 }] } : team)));
+
+    const [verstappen] = teams[0].drivers;
+    assert.deepEqual(
+        [verstappen.id, verstappen.number, verstappen.points, verstappen.wins, verstappen.image],
+        ['verstappen', '33', 421, 8, '/images/drivers/verstappen.svg']
+    );
+    // "27" and 27 are the same number
+    assert.deepEqual(teams[1].drivers.map(driver => [driver.id, driver.number, driver.points]), [['hulkenberg', 27, 51]]);
+    // Unmatched API teams get default presentation fields
+    assert.equal(teams[2].logo, '/images/logos/cadillac.svg');
+
+    assert.deepEqual(conflicts.filter(conflict => conflict.type === 'conflict').map(conflict => [conflict.id, conflict.field, conflict.kept]), [
+        ['verstappen', 'number', 'api'],
+        ['verstappen', 'image', 'curated'],
+        ['verstappen', 'points', 'api']
+    ]);
+    assert.deepEqual(conflicts.filter(conflict => conflict.type !== 'conflict').map(conflict => [conflict.type, conflict.id]), [
+        ['unmatched', 'cadillac'],
+        ['missing', 'alpine']
+    ]);
+});
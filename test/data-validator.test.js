@@ -0,0 +1,125 @@
+/**
+ * DATA-VALIDATOR.TEST.JS
+ * Checks which team and driver records the validator repairs, drops or
+ * reports before they reach the renderers
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The validator uses the country helpers as browser globals
+Object.assign(global, require('../js/countries.js'));
+const { validateTeamsData } = require('../js/data-validator.js');
+
+/**
+ * Build a valid team; tests override the fields they break
+ * @param {object} fields - Fields to set on the team
+ * @returns {object} - Team object
+ */
+function team(fields) {
+    return {
+        id: 'mclaren',
+        name: 'McLaren',
+        country: 'GB',
+        principal: null,
+        powerUnit: null,
+        website: null,
+        accent_color: '#FF8700',
+        logo: '/images/logos/mclaren.svg',
+        drivers: [],
+        ...fields
+    };
+}
+
+/**
+ * Build a valid driver; tests override the fields they break
+ * @param {object} fields - Fields to set on the driver
+ * @returns {object} - Driver object
+ */
+function driver(fields) {
+    return { id: 'norris', name: 'Lando Norris', number: '4', nationality: 'GB', image: '/images/drivers/norris.svg', ...fields };
+}
+
+test('validateTeamsData: valid data passes through without warnings', () => {
+    const teams = [team({ drivers: [driver({ points: 423, wins: 7 })] })];
+    const result = validateTeamsData(teams);
+
+    assert.deepEqual(result, { teams, warnings: [] });
+    assert.deepEqual(validateTeamsData({ teams }), { teams: [], warnings: ['Teams data is not an array; nothing to show'] });
+});
+
+test('validateTeamsData: duplicate IDs are dropped and shared numbers reported', () => {
+    const { teams, warnings } = validateTeamsData([
+        team({ drivers: [driver({}), driver({ id: 'piastri', name: 'Oscar Piastri', number: '4' })] }),
+        team({ name: 'McLaren F1 Team' }),
+        team({
+            id: 'ferrari',
+            name: 'Ferrari',
+            drivers: [
+                driver({ name: 'Lando Norris (again)', number: '1' }),
+                driver({ id: 'bearman', name: 'Oliver Bearman', number: '0' }),
+                driver({ id: 'reserve', name: 'Reserve Driver', number: '0' })
+            ]
+        })
+    ]);
+
+    assert.deepEqual(teams.map(entry => [entry.id, entry.drivers.map(member => member.id)]), [
+        ['mclaren', ['norris', 'piastri']],
+        ['ferrari', ['bearman', 'reserve']]
+    ]);
+    // "0" marks drivers without a permanent number, so it may repeat
+    assert.deepEqual(warnings, [
+        'Team "mclaren": duplicate ID, record dropped',
+        'Driver "piastri" (mclaren): number 4 is also used by "norris"',
+        'Driver "norris" (ferrari): duplicate ID, record dropped'
+    ]);
+});
+
+test('validateTeamsData: colours, number fields and driver numbers are repaired', () => {
+    const { teams: [mclaren], warnings } = validateTeamsData([
+        team({
+            accent_color: 'orange',
+            founded: '1963',
+            wins: -1,
+            championships: null,
+            logo: '',
+            drivers: [
+                driver({ number: 81, points: 'many', races: Infinity }),
+                driver({ id: 'palou', name: 'Alex Palou', number: '100' })
+            ]
+        }),
+        // Lower-case hex is a valid colour
+        team({ id: 'haas', name: 'Haas', accent_color: '#b6babd' })
+    ]);
+
+    assert.deepEqual(
+        [mclaren.accent_color, mclaren.founded, mclaren.wins, mclaren.championships, mclaren.logo],
+        ['#FF1801', null, null, null, '/images/logos/mclaren.svg']
+    );
+    assert.deepEqual(mclaren.drivers.map(entry => [entry.number, entry.points, entry.races]), [['81', 0, 0], ['0', undefined, undefined]]);
+    assert.deepEqual(warnings, [
+        'Team "mclaren": "founded" should be a non-negative number, got "1963"',
+        'Team "mclaren": "wins" should be a non-negative number, got "-1"',
+        'Team "mclaren": invalid accent_color "orange", using #FF1801',
+        'Driver "norris" (mclaren): "points" should be a non-negative number, got "many"',
+        'Driver "norris" (mclaren): "races" should be a non-negative number, got "Infinity"',
+        'Driver "palou" (mclaren): invalid number "100", using "0"'
+    ]);
+});
+
+test('validateTeamsData: countries and nationalities become ISO codes', () => {
+    const { teams: [mclaren, haas], warnings } = validateTeamsData([
+        team({ country: '🇬🇧 British', drivers: [driver({ nationality: 'Dutch' }), driver({ id: 'piastri', name: 'Oscar Piastri', number: '81', nationality: 42 })] }),
+        team({ id: 'haas', name: 'Haas', country: 'Narnia', principal: 7 })
+    ]);
+
+    assert.deepEqual([mclaren.country, ...mclaren.drivers.map(entry => entry.nationality)], ['GB', 'NL', '']);
+    assert.deepEqual([haas.country, haas.principal], ['', null]);
+    assert.deepEqual(warnings, [
+        'Team "mclaren": "country" "🇬🇧 British" is not an ISO code, using "GB"',
+        'Driver "norris" (mclaren): "nationality" "Dutch" is not an ISO code, using "NL"',
+        'Driver "piastri" (mclaren): "nationality" should be text, got number',
+        'Team "haas": "principal" should be text, got number',
+        'Team "haas": unknown country "Narnia"'
+    ]);
+});
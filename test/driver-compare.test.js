@@ -0,0 +1,27 @@
+/**
+ * DRIVER-COMPARE.TEST.JS
+ * Checks that the head-to-head gap table covers the season and that a note
+ * is shown when the per-round results fall short of the season points
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, wait } = require('./load-page.js');
+
+test('compare: the gap table adds up to the season points, partial results get a note', async () => {
+    const { window, document, errors } = await loadPage('drivers.html', { search: '?compare=norris,verstappen' });
+    await wait(100);
+    const container = document.getElementById('compare-results');
+
+    const lastRow = [...container.querySelectorAll('.compare-rounds tbody tr')].pop();
+    assert.equal(container.querySelectorAll('.compare-rounds tbody tr').length, 24);
+    // Norris 423, Verstappen 421
+    assert.equal(lastRow.querySelector('.compare-gap-value').textContent, '+2');
+    assert.equal(container.querySelector('.compare-note'), null);
+
+    window.eval('compareSeasonResults = { ...compareSeasonResults, rounds: compareSeasonResults.rounds.slice(0, 6) }; renderComparison();');
+    assert.equal(container.querySelectorAll('.compare-rounds tbody tr').length, 6);
+    assert.match(container.querySelector('.compare-note').textContent, /round 6/);
+    assert.deepEqual(errors, []);
+    window.close();
+});
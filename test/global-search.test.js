@@ -0,0 +1,50 @@
+/**
+ * GLOBAL-SEARCH.TEST.JS
+ * Checks that the global search has its own input and leaves the page's
+ * filter box alone, and that every page wires it up
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, wait } = require('./load-page.js');
+
+/**
+ * Type into an input
+ * @param {HTMLInputElement} input - Input to type into
+ * @param {string} value - Text typed
+ */
+async function type(input, value) {
+    const { Event } = input.ownerDocument.defaultView;
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    await wait(400);
+}
+
+test('global search: its dropdown and the page filter each follow their own input', async () => {
+    const { window, document, errors } = await loadPage('drivers.html');
+    const listbox = document.getElementById('global-search-results');
+    const cardCount = () => document.querySelectorAll('#drivers-grid .team-card').length;
+    const allCards = cardCount();
+
+    await type(document.getElementById('global-search'), 'norris');
+    assert.equal(listbox.hidden, false);
+    assert.match(listbox.textContent, /Lando Norris/);
+    assert.equal(cardCount(), allCards);
+
+    document.body.click();
+    await type(document.getElementById('search-box'), 'norris');
+    assert.equal(listbox.hidden, true);
+    assert.equal(cardCount(), 1);
+    assert.deepEqual(errors, []);
+    window.close();
+});
+
+for (const page of ['index.html', 'drivers.html', 'standings.html', 'contact.html']) {
+    test(`global search: ${page} has the combobox and the accessibility helpers`, async () => {
+        const { window, document } = await loadPage(page);
+
+        assert.equal(document.getElementById('global-search').getAttribute('role'), 'combobox');
+        assert.equal(typeof window.announce, 'function');
+        window.close();
+    });
+}
@@ -0,0 +1,34 @@
+/**
+ * HTML.TEST.JS
+ * Checks how the html`` renderer writes interpolated values in each context
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { html } = require('../js/html.js');
+
+test('html: booleans inside an attribute value are written out', () => {
+    const button = isActive => html`<button class="chip" aria-pressed="${isActive}">A</button>`.markup;
+
+    assert.equal(button(true), '<button class="chip" aria-pressed="true">A</button>');
+    assert.equal(button(false), '<button class="chip" aria-pressed="false">A</button>');
+    assert.equal(html`<span data-a="x" data-b="y ${false}">`.markup, '<span data-a="x" data-b="y false">');
+});
+
+test('html: false renders nothing as a child or in place of a whole attribute', () => {
+    const isOpen = false;
+
+    assert.equal(html`<div>${isOpen && html`<p>Open</p>`}</div>`.markup, '<div></div>');
+    assert.equal(html`<input ${isOpen && html`checked`}>`.markup, '<input >');
+    assert.equal(html`<p>${null}${undefined}</p>`.markup, '<p></p>');
+});
+
+test('html: text is escaped and URL / style values are checked', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.equal(html`<p title="${'"><b>'}">${'<i>'}</p>`.markup, '<p title="&quot;&gt;&lt;b&gt;">&lt;i&gt;</p>');
+    assert.equal(html`<a href="${'javascript:alert(1)'}">`.markup, '<a href="#">');
+    assert.equal(html`<i style="color: ${'red;background:url(x)'}">`.markup, '<i style="color: ">');
+    assert.equal(warn.mock.callCount(), 2);
+    assert.throws(() => html`<b onclick="${'x'}">`, /inline event handlers/);
+});
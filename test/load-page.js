@@ -0,0 +1,82 @@
+/**
+ * LOAD-PAGE.JS
+ * Loads one of the portal's pages in jsdom with its scripts, answering
+ * fetch() from the files in the repository (the network is never used)
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// jsdom has no layout, navigation or canvas; these errors come from the missing APIs, not the page
+const JSDOM_LIMITATIONS = /scrollIntoView|Not implemented: (navigation|HTMLCanvasElement)/;
+
+/**
+ * Answer a fetch() from the repository, or refuse it for other hosts
+ * @param {string} url - Requested URL
+ * @returns {Promise<object>} - Minimal Response
+ */
+async function fetchFromRepository(url) {
+    const { origin, pathname } = new URL(url, 'http://localhost/');
+    if (origin !== 'http://localhost') {
+        throw new Error(`Network disabled in tests: ${url}`);
+    }
+
+    const file = path.join(ROOT, decodeURIComponent(pathname));
+    if (!fs.existsSync(file)) {
+        return { ok: false, status: 404, json: async () => { throw new Error('Not found'); } };
+    }
+
+    const body = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+}
+
+/**
+ * Load a page and run its scripts
+ * @param {string} page - Page file, e.g. 'index.html'
+ * @param {object} options - { search, settle, localStorage } query string, milliseconds to wait for the
+ *                           page to render and localStorage entries to start with
+ * @returns {Promise<object>} - { window, document, errors } with the script errors raised while loading
+ */
+async function loadPage(page, options = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        if (!JSDOM_LIMITATIONS.test(error.message)) errors.push(error.message);
+    });
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, page), 'utf8'), {
+        url: `http://localhost/${page}${options.search || ''}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = fetchFromRepository;
+            Object.entries(options.localStorage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+        }
+    });
+
+    // jsdom does not load external scripts without a resource loader; run them in page order
+    const { window } = dom;
+    for (const tag of [...window.document.querySelectorAll('script[src]')]) {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, tag.getAttribute('src')), 'utf8');
+        window.document.body.appendChild(script);
+    }
+
+    await wait(options.settle || 500);
+    return { window, document: window.document, errors };
+}
+
+/**
+ * Wait for timers, fetches and renders to settle
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadPage, wait };
@@ -0,0 +1,28 @@
+/**
+ * POINTS-CHART.TEST.JS
+ * Checks that the points progression ends on the standings totals and that
+ * a note is shown when the per-round results fall short of them
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, wait } = require('./load-page.js');
+
+test('chart: lines end on the table totals, partial results get a note', async () => {
+    const { window, document, errors } = await loadPage('standings.html');
+    await wait(100);
+    const note = document.getElementById('points-chart-note');
+    const drivers = window.eval('allDriversData');
+    const season = require('../data/seasons/2025.json');
+
+    const { rounds, series } = window.computePointsProgression(drivers, season);
+    assert.equal(rounds.length, 24);
+    assert.ok(series.every(entry => entry.points[entry.points.length - 1] === entry.driver.points));
+    assert.ok(note.hidden);
+
+    window.renderPointsChart(drivers, { ...season, rounds: season.rounds.slice(0, 6) });
+    assert.ok(!note.hidden);
+    assert.match(note.textContent, /round 6/);
+    assert.deepEqual(errors, []);
+    window.close();
+});
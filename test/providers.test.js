@@ -0,0 +1,157 @@
+/**
+ * PROVIDERS.TEST.JS
+ * Runs the Ergast and OpenF1 adapters against recorded API responses
+ * (test/fixtures) and checks the teams, drivers and results they map to,
+ * and the request timeout they use against the live APIs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { replayFetch } = require('./replay-fetch.js');
+
+// The adapters use the country helpers as browser globals
+Object.assign(global, require('../js/countries.js'));
+const { createErgastProvider, createOpenF1Provider, fetchJSONWithTimeout } = require('../js/providers.js');
+
+const ERGAST_BASE_URL = 'https://ergast.test/f1';
+const OPENF1_BASE_URL = 'https://openf1.test/v1';
+
+const ergast = () => createErgastProvider({
+    baseUrl: ERGAST_BASE_URL,
+    pageSize: 100,
+    fetchJSON: replayFetch('ergast-2025.json', ERGAST_BASE_URL)
+});
+
+const openf1 = () => createOpenF1Provider({
+    baseUrl: OPENF1_BASE_URL,
+    fetchJSON: replayFetch('openf1-2025.json', OPENF1_BASE_URL)
+});
+
+test('ergast: maps constructors to teams with slug IDs and country codes', async () => {
+    const teams = await ergast().fetchTeams(2025);
+
+    assert.deepEqual(teams.map(team => [team.id, team.name, team.country]), [
+        ['mclaren', 'McLaren', 'GB'],
+        ['red-bull', 'Red Bull', 'AT']
+    ]);
+    // Curated fields are left for mergeTeamsWithCurated()
+    assert.equal(teams[0].website, null);
+    assert.deepEqual(teams[0].drivers, []);
+});
+
+test('ergast: maps standings to drivers and skips entries without a constructor', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const drivers = await ergast().fetchDrivers(2025);
+
+    assert.deepEqual(drivers, [
+        { id: 'piastri', name: 'Oscar Piastri', number: '81', nationality: 'AU', image: '/images/drivers/piastri.svg', teamId: 'mclaren', points: 58, wins: 1 },
+        { id: 'max_verstappen', name: 'Max Verstappen', number: '33', nationality: 'NL', image: '/images/drivers/max_verstappen.svg', teamId: 'red-bull', points: 50, wins: 1 },
+        { id: 'norris', name: 'Lando Norris', number: '4', nationality: 'GB', image: '/images/drivers/norris.svg', teamId: 'mclaren', points: 0, wins: 0 }
+    ]);
+    // doohan has an empty Constructors list, hulkenberg none at all
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /doohan/);
+    assert.match(warn.mock.calls[1].arguments[0], /hulkenberg/);
+});
+
+test('ergast: maps results and sprint results per round', async () => {
+    const season = await ergast().fetchResults(2025);
+
+    assert.equal(season.season, 2025);
+    assert.deepEqual(season.rounds.map(round => [round.round, round.name, round.sprint]), [
+        [1, 'Australian Grand Prix', false],
+        [2, 'Chinese Grand Prix', true]
+    ]);
+
+    const [australia, china] = season.rounds;
+    assert.equal(australia.sprintResults, undefined);
+    assert.deepEqual(australia.results, [
+        { position: 1, driverId: 'piastri', teamId: 'mclaren', status: 'Finished', points: 25, fastestLap: true },
+        { position: 2, driverId: 'max_verstappen', teamId: 'red-bull', status: 'Finished', points: 18, fastestLap: false },
+        { position: 3, driverId: 'norris', teamId: 'mclaren', status: 'DNF', points: 0, fastestLap: false }
+    ]);
+    assert.deepEqual(china.results.map(result => [result.driverId, result.status, result.points]), [
+        ['max_verstappen', 'Finished', 25],
+        ['piastri', 'Finished', 18],
+        ['norris', 'DNS', 0]
+    ]);
+    assert.deepEqual(china.sprintResults.map(result => [result.driverId, result.points]), [
+        ['piastri', 8],
+        ['max_verstappen', 7]
+    ]);
+});
+
+test('openf1: groups the latest session\'s drivers into teams', async () => {
+    const teams = await openf1().fetchTeams(2025);
+
+    assert.deepEqual(teams.map(team => [team.id, team.name, team.accent_color]), [
+        ['mclaren', 'McLaren', '#FF8000'],
+        ['red-bull-racing', 'Red Bull Racing', '#3671C6']
+    ]);
+    assert.deepEqual(teams[0].drivers.map(driver => [driver.id, driver.number, driver.nationality]), [
+        ['piastri', '81', 'AU'],
+        ['norris', '4', 'GB']
+    ]);
+    assert.deepEqual(teams[1].drivers[0], {
+        id: 'verstappen',
+        name: 'Max Verstappen',
+        number: '1',
+        nationality: 'NL',
+        image: '/images/drivers/verstappen.svg',
+        teamId: 'red-bull-racing',
+        teamName: 'Red Bull Racing',
+        teamColor: '#3671C6'
+    });
+});
+
+test('openf1: builds rounds from meetings with a race and maps classifications', async () => {
+    const season = await openf1().fetchResults(2025);
+
+    // Pre-season testing has no race session
+    assert.deepEqual(season.rounds.map(round => [round.round, round.name, round.circuit, round.date, round.sprint]), [
+        [1, 'Australian Grand Prix', 'Melbourne', '2025-03-16', false],
+        [2, 'Chinese Grand Prix', 'Shanghai', '2025-03-23', true]
+    ]);
+
+    const [australia, china] = season.rounds;
+    // Unclassified cars come after the classified ones
+    assert.deepEqual(australia.results, [
+        { position: 1, driverId: 'piastri', teamId: 'mclaren', status: 'Finished', points: 25, fastestLap: false },
+        { position: 2, driverId: 'verstappen', teamId: 'red-bull-racing', status: 'Finished', points: 18, fastestLap: false },
+        { position: 3, driverId: 'norris', teamId: 'mclaren', status: 'DNF', points: 0, fastestLap: false }
+    ]);
+    assert.deepEqual(china.results.map(result => [result.driverId, result.status]), [
+        ['verstappen', 'Finished'],
+        ['piastri', 'Finished'],
+        ['norris', 'DNS']
+    ]);
+    assert.deepEqual(china.sprintResults.map(result => [result.driverId, result.points]), [
+        ['piastri', 8],
+        ['verstappen', 7],
+        ['norris', 6]
+    ]);
+});
+
+test('openf1: schedule has the rounds without results', async () => {
+    const schedule = await openf1().fetchSchedule(2025);
+
+    assert.equal(schedule.length, 2);
+    assert.equal(schedule[1].results, undefined);
+});
+
+test('fetchJSONWithTimeout: clears the timer on a response and aborts a request that times out', async t => {
+    const clearTimeoutSpy = t.mock.method(global, 'clearTimeout');
+    t.mock.method(global, 'fetch', async () => ({ ok: true, json: async () => ({ season: 2025 }) }));
+
+    assert.deepEqual(await fetchJSONWithTimeout('https://api.test/fast', 1000), { season: 2025 });
+    assert.equal(clearTimeoutSpy.mock.callCount(), 1);
+
+    let signal = null;
+    global.fetch.mock.mockImplementation((url, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+    });
+
+    await assert.rejects(fetchJSONWithTimeout('https://api.test/slow', 10), /Fetch timeout/);
+    assert.equal(signal.aborted, true);
+});
@@ -0,0 +1,27 @@
+/**
+ * REPLAY-FETCH.JS
+ * Answers an adapter's fetchJSON() from a recording in test/fixtures
+ * instead of the network
+ */
+
+const path = require('node:path');
+
+/**
+ * Build a fetchJSON that answers from a recording instead of the network
+ * @param {string} fixture - Fixture file name in test/fixtures
+ * @param {string} baseUrl - Base URL the adapter is created with
+ * @returns {function} - fetchJSON(url) resolving to the recorded body
+ */
+function replayFetch(fixture, baseUrl) {
+    const recording = require(path.join(__dirname, 'fixtures', fixture));
+
+    return async url => {
+        const request = url.slice(baseUrl.length + 1);
+        if (!(request in recording)) {
+            throw new Error(`No recorded response for ${request}`);
+        }
+        return JSON.parse(JSON.stringify(recording[request]));
+    };
+}
+
+module.exports = { replayFetch };
@@ -0,0 +1,110 @@
+/**
+ * SCENARIO-CALCULATOR.TEST.JS
+ * Checks the remaining sessions, maximum points and who is still in
+ * contention for the championship
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The calculator uses the season helpers as browser globals
+Object.assign(global, require('../js/providers.js'), require('../js/data-merge.js'), require('../js/data-fetcher.js'));
+const { getScenarioDrivers, getRemainingSessions, computeScenarioStandings } = require('../js/scenario-calculator.js');
+
+const DRIVERS = [
+    { id: 'norris', name: 'Lando Norris', points: 100, wins: 3 },
+    { id: 'piastri', name: 'Oscar Piastri', points: 90, wins: 4 },
+    { id: 'verstappen', name: 'Max Verstappen', points: 60, wins: 1 }
+];
+
+/**
+ * Summarise projected standings for comparison
+ * @param {array} standings - Result of computeScenarioStandings()
+ * @returns {array} - [id, projected, maxPoints, status] per driver
+ */
+const summarise = standings => standings.map(entry => [entry.driver.id, entry.projected, entry.maxPoints, entry.status]);
+
+test('getRemainingSessions: lists grands prix and sprints without results', () => {
+    const season = {
+        rounds: [
+            { round: 1, name: 'Bahrain', sprint: false, results: [{ driverId: 'norris' }] },
+            { round: 2, name: 'China', sprint: true, sprintResults: [{ driverId: 'norris' }] },
+            { round: 3, name: 'Miami', sprint: true },
+            { round: 4, name: 'Monaco', sprint: false, results: [] }
+        ]
+    };
+
+    assert.deepEqual(getRemainingSessions(season), [
+        { round: 2, name: 'China', race: true, sprint: false },
+        { round: 3, name: 'Miami', race: true, sprint: true },
+        { round: 4, name: 'Monaco', race: true, sprint: false }
+    ]);
+});
+
+test('computeScenarioStandings: maximum points add a win in every open session', () => {
+    const rounds = [{ round: 23, race: true, sprint: true }, { round: 24, race: true, sprint: false }];
+
+    // 25 + 8 + 25 points still open
+    assert.deepEqual(summarise(computeScenarioStandings(DRIVERS, rounds, {})), [
+        ['norris', 100, 158, 'contention'],
+        ['piastri', 90, 148, 'contention'],
+        ['verstappen', 60, 118, 'contention']
+    ]);
+    // An entered sprint is projected and no longer open
+    assert.deepEqual(summarise(computeScenarioStandings(DRIVERS, rounds, { 23: { sprint: ['norris'] } })), [
+        ['norris', 108, 158, 'contention'],
+        ['piastri', 90, 140, 'contention'],
+        ['verstappen', 60, 110, 'contention']
+    ]);
+    // One race left: Verstappen's 85 can no longer reach 100
+    assert.deepEqual(summarise(computeScenarioStandings(DRIVERS, rounds.slice(1), {})), [
+        ['norris', 100, 125, 'contention'],
+        ['piastri', 90, 115, 'contention'],
+        ['verstappen', 60, 85, 'out']
+    ]);
+});
+
+test('computeScenarioStandings: the leader is champion once nobody can catch them', () => {
+    const rounds = [{ round: 24, race: true, sprint: false }];
+
+    assert.deepEqual(summarise(computeScenarioStandings(DRIVERS.slice(0, 2), [], {})), [
+        ['norris', 100, 100, 'champion'],
+        ['piastri', 90, 90, 'out']
+    ]);
+
+    // Entered orders count as run and re-rank the drivers, wins break the tie
+    const standings = computeScenarioStandings(DRIVERS, rounds, { 24: { race: ['piastri', 'verstappen', 'norris'] } });
+    assert.deepEqual(summarise(standings), [
+        ['piastri', 115, 115, 'champion'],
+        ['norris', 115, 115, 'out'],
+        ['verstappen', 78, 78, 'out']
+    ]);
+    assert.deepEqual(standings.map(entry => [entry.position, entry.wins]), [[2, 5], [1, 3], [3, 1]]);
+});
+
+test('getScenarioDrivers: points and wins come from the same results as the remaining sessions', () => {
+    const teams = [{ id: 'mclaren', name: 'McLaren', drivers: [{ id: 'norris', name: 'Lando Norris' }, { id: 'piastri', name: 'Oscar Piastri' }] }];
+    const season = {
+        rounds: [
+            {
+                round: 1,
+                sprint: false,
+                results: [
+                    { position: 1, driverId: 'piastri', teamId: 'mclaren', status: 'Finished', points: 25 },
+                    { position: 2, driverId: 'norris', teamId: 'mclaren', status: 'Finished', points: 18 }
+                ]
+            },
+            { round: 2, sprint: false }
+        ]
+    };
+
+    // Typed totals covering more races than the results are not used
+    const drivers = getScenarioDrivers(DRIVERS, season, teams);
+    assert.deepEqual(drivers.map(driver => [driver.id, driver.points, driver.wins, driver.races]), [
+        ['piastri', 25, 1, 1],
+        ['norris', 18, 0, 1],
+        ['verstappen', 0, 0, 0]
+    ]);
+    assert.equal(drivers[0].name, 'Oscar Piastri');
+    assert.equal(getRemainingSessions(season).length, 1);
+});
@@ -0,0 +1,79 @@
+/**
+ * STORAGE.TEST.JS
+ * Checks the migration of the cache left in localStorage by earlier releases
+ * (jsdom has no IndexedDB, so the localStorage backend is used)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./load-page.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The unversioned cache of earlier releases: a bare team array and its timestamp
+const LEGACY_TEAMS = JSON.stringify([
+    {
+        id: 'mclaren',
+        name: 'McLaren',
+        country: 'GB',
+        accent_color: '#FF8700',
+        drivers: [{ id: 'norris', name: 'Lando Norris', number: '4', nationality: 'GB', points: 357 }]
+    }
+]);
+
+/**
+ * Put the legacy entry in a page's localStorage and migrate it
+ * @param {Window} window - jsdom window with storage.js loaded
+ * @param {number} timestamp - Legacy `f1_teams_cache_timestamp`
+ * @returns {Promise<object>} - Stored 2025 entry after the migration
+ */
+async function migrate(window, timestamp) {
+    const { localStorage } = window;
+    localStorage.removeItem('f1_teams_cache_2025');
+    localStorage.setItem('f1_teams_cache', LEGACY_TEAMS);
+    localStorage.setItem('f1_teams_cache_timestamp', String(timestamp));
+
+    await window.migrateLegacyCache(window.createLocalStorageBackend());
+    return JSON.parse(localStorage.getItem('f1_teams_cache_2025'));
+}
+
+test('storage: the legacy cache becomes a stale entry saved at its old timestamp', async () => {
+    const { window } = await loadPage('index.html');
+
+    const timestamp = Date.now() - 2 * DAY;
+    const entry = await migrate(window, timestamp);
+
+    assert.equal(entry.version, window.eval('CACHE_VERSION'));
+    assert.equal(entry.savedAt, timestamp);
+    assert.equal(entry.results, null);
+    assert.deepEqual(entry.teams.map(team => [team.id, team.drivers[0].id]), [['mclaren', 'norris']]);
+    assert.ok(window.isCacheEntryValid(entry));
+    assert.ok(window.isCacheStale(entry));
+    // The legacy keys are gone
+    assert.equal(window.localStorage.getItem('f1_teams_cache'), null);
+    assert.equal(window.localStorage.getItem('f1_teams_cache_timestamp'), null);
+    window.close();
+});
+
+test('storage: a recent legacy timestamp still revalidates, a missing one is purged', async () => {
+    const { window } = await loadPage('index.html');
+
+    assert.ok(window.isCacheStale(await migrate(window, Date.now())));
+    assert.ok(!window.isCacheEntryValid(await migrate(window, NaN)));
+    window.close();
+});
+
+test('storage: a page opened with the legacy cache shows the refreshed data', async () => {
+    const start = Date.now();
+    const { window, document, errors } = await loadPage('index.html', {
+        settle: 1500,
+        localStorage: { f1_teams_cache: LEGACY_TEAMS, f1_teams_cache_timestamp: String(start - DAY) }
+    });
+
+    const entry = JSON.parse(window.localStorage.getItem('f1_teams_cache_2025'));
+    assert.ok(entry.savedAt >= start);
+    assert.ok(entry.results);
+    assert.equal(document.querySelectorAll('#teams-grid .team-card').length, 10);
+    assert.deepEqual(errors, []);
+    window.close();
+});